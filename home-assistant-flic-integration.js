@@ -4,6 +4,23 @@
 
 const flicApp = require('flicapp');
 const http = require('http');
+const net = require('net');
+
+// The datastore keeps timers across restarts, on hubs that have it
+let datastore = null;
+try {
+    datastore = require('datastore');
+} catch (error) {
+    datastore = null;
+}
+
+// The buttons module lets the script handle bound buttons itself (HA_CONFIG.buttonBindings)
+let buttons = null;
+try {
+    buttons = require('buttons');
+} catch (error) {
+    buttons = null;
+}
 
 console.log('Home Assistant Media Integration Started');
 
@@ -37,13 +54,16 @@ const HA_CONFIG = {
                 id: 'kitchen_radio', 
                 entityId: 'media_player.kitchen_radio',
                 name: 'Kitchen Radio',
-                type: 'media_player'
+                type: 'media_player',
+                maxVolume: 60, // Never louder than 60%
+                quietHours: { start: '19:30', end: '07:00', maxVolume: 25 } // Overrides HA_CONFIG.quietHours
             },
             { 
                 id: 'playback_control', 
                 entityId: 'media_player.living_room_tv', // Uses same device for playback control
                 name: 'Playback Control',
-                type: 'playback'
+                type: 'playback',
+                gestureProfile: 'default' // Name from gestureProfiles, or an object overriding the default profile
             }
         ],
         
@@ -76,14 +96,15 @@ const HA_CONFIG = {
                 entityId: 'climate.living_room',
                 name: 'Living Room Thermostat',
                 type: 'climate',
-                tempRange: { min: 16, max: 30 } // °C
+                tempRange: { min: 16, max: 30 }, // In Home Assistant's unit, optional - narrows the entity's min_temp/max_temp
+                twistMode: 'temperature' // 'low'/'high' to drive target_temp_low/high in heat_cool mode
             },
             {
                 id: 'bedroom_ac',
                 entityId: 'climate.bedroom_ac',
                 name: 'Bedroom AC',
                 type: 'climate',
-                tempRange: { min: 18, max: 28 } // °C
+                tempRange: { min: 18, max: 28 } // °C (use e.g. { min: 64, max: 82 } if Home Assistant runs in °F)
             }
         ],
         
@@ -106,6 +127,90 @@ const HA_CONFIG = {
                 entityId: 'cover.kitchen_shutters',
                 name: 'Kitchen Shutters',
                 type: 'blind'
+            },
+            {
+                id: 'living_room_blinds_tilt',
+                entityId: 'cover.living_room_blinds', // Same cover, second Twist for the slats
+                name: 'Living Room Blinds Tilt',
+                type: 'blind',
+                twistMode: 'tilt' // Twist controls current_tilt_position instead of the position
+            }
+        ],
+        
+        // Fan devices (speed via Twist, presets and oscillation via action messages)
+        fans: [
+            {
+                id: 'bedroom_fan',
+                entityId: 'fan.bedroom_ceiling_fan',
+                name: 'Bedroom Fan',
+                type: 'fan'
+            }
+        ],
+        
+        // On/off devices (switches, smart plugs, input booleans)
+        switches: [
+            {
+                id: 'coffee_maker',
+                entityId: 'switch.coffee_maker',
+                name: 'Coffee Maker',
+                type: 'plug'
+            },
+            {
+                id: 'guest_mode',
+                entityId: 'input_boolean.guest_mode',
+                name: 'Guest Mode',
+                type: 'input_boolean'
+            }
+        ],
+        
+        // Scenes, scripts and automations (action message targets, no virtual device)
+        scenes: [
+            {
+                id: 'movie_scene',
+                entityId: 'scene.movie_night',
+                name: 'Movie Scene',
+                type: 'scene'
+            },
+            {
+                id: 'goodnight_script',
+                entityId: 'script.goodnight',
+                name: 'Goodnight Script',
+                type: 'script',
+                variables: { fade_minutes: 5 }  // Optional defaults for "run"
+            },
+            {
+                id: 'porch_automation',
+                entityId: 'automation.porch_lights',
+                name: 'Porch Automation',
+                type: 'automation'
+            }
+        ],
+        
+        // Selectors (one Twist switching between devices with "{selector-id} selector next/prev" or a button)
+        selectors: [
+            {
+                id: 'living_room_twist',
+                name: 'Living Room Twist',
+                type: 'selector',
+                targets: ['living_room_light', 'kitchen_color_light', 'bedroom_light'], // Same virtual device type (Light)
+                confirm: 'flash' // Flash lights that are on when selected, or 'log' to only log the switch
+            }
+        ],
+        
+        // Device groups (one virtual device driving several entities of the same type)
+        groups: [
+            {
+                id: 'downstairs_speakers',
+                entityIds: ['media_player.living_room_tv', 'media_player.kitchen_radio'],
+                name: 'Downstairs Speakers',
+                type: 'media_player'        // Shows the loudest member's volume
+            },
+            {
+                id: 'all_living_room_lights',
+                entityIds: ['light.living_room_ceiling', 'light.living_room_floor'],
+                name: 'All Living Room Lights',
+                type: 'light',
+                aggregate: 'average'        // Optional: 'average', 'max' or 'min'
             }
         ]
     },
@@ -113,10 +218,187 @@ const HA_CONFIG = {
     // API endpoints
     endpoints: {
         states: '/api/states/',
+        allStates: '/api/states',
         services: '/api/services/',
         config: '/api/config'
     },
     
+    // Retries for failed service calls (only for calls that are safe to repeat)
+    retry: {
+        maxAttempts: 3,         // Total attempts, including the first one
+        baseDelay: 500,         // Backoff before the first retry (ms), doubled for each retry
+        maxDelay: 5000          // Upper bound for the backoff (ms)
+    },
+    
+    // Commands held while Home Assistant is unreachable
+    offlineQueue: {
+        maxSize: 20,            // Oldest command is dropped when the queue is full
+        ttl: 60000,             // Commands older than this (ms) are dropped instead of replayed
+        probeInterval: 5000     // Connectivity check interval while offline (ms)
+    },
+    
+    // Device discovery from /api/states (adds to the devices configured above)
+    discovery: {
+        enabled: false,
+        include: [],    // Entity id patterns to discover, e.g. 'light.*' (empty = everything)
+        exclude: []     // Entity id patterns to skip, e.g. 'media_player.*_group'
+    },
+    
+    // Twist update throttling per update type (ms): the first change is sent right away, then
+    // changes are sent after `delay` ms without movement, and at least every `maxWait` ms
+    throttle: {
+        default: { delay: 100, maxWait: 400 },
+        color: { delay: 150, maxWait: 600 },        // Color changes are heavier for most bulbs
+        temperature: { delay: 300, maxWait: 1500 }, // Thermostats don't need every step
+        position: { delay: 300, maxWait: 1500 }     // Covers restart their motor on each command
+    },
+    
+    // Acceleration per device family: slow movement gives fine steps, fast movement coarse ones.
+    // The step is multiplied by a gain from minGain (slow) up to maxGain (at fullSpeed),
+    // following speed^exponent. Twist speed is in range per second, repeat speed in messages per second.
+    // Devices can override a curve with `acceleration: { twist: {...}, repeat: {...} }`, or disable it with `acceleration: false`
+    acceleration: {
+        gestureTimeout: 600, // ms without movement before a new turn or series of messages starts
+        curves: {
+            media: {
+                twist: { minGain: 0.5, maxGain: 2.5, fullSpeed: 1.5, exponent: 2 },
+                repeat: { minGain: 1, maxGain: 3, fullSpeed: 5, exponent: 1 }
+            },
+            light: {
+                twist: { minGain: 0.5, maxGain: 3, fullSpeed: 1.5, exponent: 2 },
+                repeat: { minGain: 1, maxGain: 3, fullSpeed: 5, exponent: 1 }
+            },
+            climate: {
+                twist: { minGain: 0.25, maxGain: 2, fullSpeed: 1, exponent: 2 }, // Fine 0.5° steps when turning slowly
+                repeat: { minGain: 1, maxGain: 2, fullSpeed: 5, exponent: 1 }
+            },
+            blind: {
+                twist: { minGain: 0.5, maxGain: 3, fullSpeed: 1.5, exponent: 2 },
+                repeat: { minGain: 1, maxGain: 4, fullSpeed: 5, exponent: 1 }
+            }
+        }
+    },
+    
+    // Lower volume cap for all media players during these hours (hub clock, may wrap past midnight),
+    // e.g. { start: '22:00', end: '07:00', maxVolume: 30 }. Devices can set their own `quietHours`
+    // (or `quietHours: false` to opt out) and a permanent `maxVolume` (0-100)
+    quietHours: null,
+    
+    // Time-of-day profiles change what "on", "bright", "dim" and "power" (when turning on) do.
+    // Windows use the hub's clock: "HH:MM", or "sunrise"/"sunset" with an optional offset in minutes ("sunset-30").
+    // Settings go per family or device type (`types`) and per device id (`devices`):
+    //   light: brightness (%), kelvin - media: volume (%) - fan: percentage
+    //   climate: hvacMode, temperature (number in Home Assistant's unit, or '18c'/'65f' to work on °C and °F installs)
+    // The first profile whose window matches wins; devices opt out with `timeProfiles: false`
+    // Example - warm, dim light and a lower volume at night:
+    //   night: {
+    //       start: '23:00',
+    //       end: '06:00',
+    //       types: {
+    //           light: {
+    //               on: { brightness: 10, kelvin: 2200 },
+    //               bright: { brightness: 40, kelvin: 2700 },
+    //               dim: { brightness: 3, kelvin: 2200 }
+    //           },
+    //           media: { on: { volume: 15 } },
+    //           climate: { on: { hvacMode: 'heat', temperature: '18c' } }
+    //       },
+    //       devices: {
+    //           bedroom_light: { on: { brightness: 5 } }
+    //       }
+    //   },
+    //   evening: { start: 'sunset', end: '23:00', types: { light: { on: { kelvin: 2700 } } } }
+    timeProfiles: {},
+    
+    // Entity providing sunrise/sunset for profile windows, re-read every refreshInterval (ms)
+    sun: {
+        entityId: 'sun.sun',
+        refreshInterval: 6 * 60 * 60 * 1000
+    },
+    
+    // Buttons handled by the script through the hub's buttons module, instead of action messages set up
+    // in the Flic app. `button` is a serial number or button name, `gesture` is click, double_click or hold,
+    // and `action` is any action message text for the device
+    buttonBindings: [
+        // { button: 'BD12-A34567', gesture: 'click', device: 'bedroom_light', action: 'power' },
+        // { button: 'Bedside', gesture: 'double_click', device: 'bedroom_speaker', action: 'sleep 30' },
+        // { button: 'Bedside', gesture: 'hold', device: 'bedroom_light', action: 'dim' },
+        // { button: 'Hallway', gesture: 'ramp', device: 'living_room_light' } // Hold to dim, see `ramp`
+    ],
+    
+    // Hold-to-ramp for 'ramp' bindings: once a button is held for holdDelay ms, brightness or volume moves by
+    // `steps` percent every `interval` ms (one call at a time) until release; covers open or close until release.
+    // Each hold goes the opposite way of the last one
+    ramp: {
+        holdDelay: 400,
+        interval: 300,
+        steps: { light: 5, media: 3 }
+    },
+    
+    // Sleep and off timers ("sleep 30", "off in 10", "off at 06:30")
+    timers: {
+        fadeDuration: 5 * 60 * 1000,   // Sleep timers fade volume/brightness down over the last 5 minutes
+        fadeSteps: 10,                 // Number of fade steps
+        missedGrace: 15 * 60 * 1000,   // Run timers that came due during a restart up to 15 minutes late
+        storageKey: 'ha_timers'        // Datastore key the timers are saved under
+    },
+    
+    // Device health: warn after this many failed Twist updates in a row
+    health: {
+        failureThreshold: 3
+    },
+    
+    // Following covers while they open or close
+    coverTracking: {
+        pollInterval: 1000,     // State polling while a cover moves (ms), not used while the WebSocket is connected
+        maxDuration: 120000     // Stop following a cover after this long (ms)
+    },
+    
+    // WebSocket state sync (Home Assistant pushes state changes to the hub)
+    websocket: {
+        enabled: true,
+        reconnectDelay: 2000,       // First reconnect delay (ms), doubled after each failure
+        maxReconnectDelay: 60000,   // Upper bound for the reconnect delay (ms)
+        heartbeatInterval: 30000,   // Ping interval to detect dead connections (ms)
+        pollInterval: 30000         // REST polling interval while the socket is down (ms)
+    },
+    
+    // Twist gestures for playback devices, picked per device with `gestureProfile`
+    // Gestures: none, play, pause, play_pause, play_or_next, next, previous, seek_forward, seek_back, mute
+    gestureProfiles: {
+        default: {
+            threshold: 0.1,         // Minimum twist away from the center to count as a gesture (0-0.5)
+            largeThreshold: 0.35,   // Twists at least this far use largeLeft/largeRight
+            settleTime: 300,        // The gesture is picked from the furthest point once the Twist rests this long (ms)
+            seekSeconds: 30,        // Distance for seek_forward/seek_back
+            left: 'pause',
+            right: 'play_or_next',
+            largeLeft: null,        // null = same as a small twist
+            largeRight: null
+        },
+        tracks: {
+            left: 'previous',
+            right: 'next',
+            largeLeft: 'seek_back',
+            largeRight: 'seek_forward'
+        },
+        podcast: {
+            seekSeconds: 15,
+            left: 'seek_back',
+            right: 'seek_forward',
+            largeLeft: 'previous',
+            largeRight: 'play_pause'
+        }
+    },
+    
+    // Cooldowns per device: after a command of the class on the left, commands of the classes
+    // listed under it are ignored on the same entity for the given time (ms).
+    // Devices can override single windows, e.g. cooldowns: { playback: { volume: 0 } }
+    cooldowns: {
+        playback: { playback: 2500, volume: 2500 },
+        volume: {}
+    },
+    
     // Value ranges for different device types
     valueRanges: {
         // Media devices (Home Assistant uses 0-1 for volume)
@@ -128,10 +410,14 @@ const HA_CONFIG = {
         color_light: { min: 0, max: 255 },
         
         // Climate devices (temperature ranges vary by device)
-        climate: { min: 16, max: 30 }, // Default range, can be overridden per device
+        climate: { min: 16, max: 30 }, // °C, used when the entity reports no min_temp/max_temp
+        climateFahrenheit: { min: 60, max: 86 }, // The same when Home Assistant runs in °F
         
         // Blind devices (Home Assistant uses 0-100 for position percentage)
-        blind: { min: 0, max: 100 } // 0 = closed, 100 = open
+        blind: { min: 0, max: 100 }, // 0 = closed, 100 = open
+        
+        // Fan devices (Home Assistant uses 0-100 for speed percentage)
+        fan: { min: 0, max: 100 }
     }
 };
 
@@ -164,7 +450,8 @@ function sendHARequest(endpoint) {
         };
         
         const timeoutId = setTimeout(() => {
-            reject(new Error('Request timeout'));
+            markHAUnreachable();
+            reject(createHAError('Request timeout', true));
         }, 10000);
         
         http.makeRequest(requestOptions, (error, result) => {
@@ -172,12 +459,17 @@ function sendHARequest(endpoint) {
             
             if (error) {
                 console.error(`❌ GET request failed:`, error);
-                reject(new Error(`HTTP request failed: ${error}`));
+                markHAUnreachable();
+                reject(createHAError(`HTTP request failed: ${error}`, true));
             } else {
                 const responseData = result || {};
                 const statusCode = responseData.statusCode || responseData.status || 200;
                 const content = responseData.content || responseData.body || responseData.data || '';
                 
+                if (statusCode >= 200 && statusCode < 300) {
+                    markHAReachable();
+                }
+                
                 resolve({
                     success: statusCode >= 200 && statusCode < 300,
                     data: {
@@ -216,7 +508,7 @@ function callHAServiceDirect(domain, service, serviceData = {}) {
         };
         
         const timeoutId = setTimeout(() => {
-            reject(new Error('Service call timeout'));
+            reject(createHAError('Service call timeout', true));
         }, 10000);
         
         http.makeRequest(requestOptions, (error, result) => {
@@ -224,7 +516,7 @@ function callHAServiceDirect(domain, service, serviceData = {}) {
             
             if (error) {
                 console.log(`❌ Service call error: ${error}`);
-                reject(new Error(`Service call failed: ${error}`));
+                reject(createHAError(`Service call failed: ${error}`, true));
                 return;
             }
             
@@ -235,7 +527,7 @@ function callHAServiceDirect(domain, service, serviceData = {}) {
                 resolve({ success: true, statusCode });
             } else {
                 console.log(`❌ ${domain}.${service} failed: ${statusCode}`);
-                reject(new Error(`Service call failed: ${statusCode}`));
+                reject(createHAError(`Service call failed: ${statusCode}`, statusCode >= 500));
             }
         });
     });
@@ -254,6 +546,7 @@ async function getEntityState(entityId) {
         
         if (response.success) {
             const stateData = JSON.parse(response.data.body);
+            rememberEntityCapabilities(stateData);
             return stateData;
         } else {
             throw new Error(`Failed to get state for ${entityId}`);
@@ -273,7 +566,12 @@ async function getEntityState(entityId) {
  */
 async function callHAService(domain, service, serviceData = {}) {
     try {
-        const result = await callHAServiceDirect(domain, service, serviceData);
+        // Queue behind earlier commands while Home Assistant is unreachable to keep them in order
+        if (!haReachable || offlineQueue.length > 0) {
+            return await enqueueOfflineCommand(domain, service, serviceData);
+        }
+        
+        const result = await callHAServiceWithRetry(domain, service, serviceData);
         return result;
     } catch (error) {
         console.error(`❌ Error calling ${domain}.${service}:`, error);
@@ -281,6 +579,197 @@ async function callHAService(domain, service, serviceData = {}) {
     }
 }
 
+// ============================================================================
+// RETRIES AND OFFLINE COMMAND QUEUE
+// ============================================================================
+
+// Services whose effect depends on the current state - sending them twice applies them twice
+const NON_IDEMPOTENT_SERVICES = new Set([
+    'media_player.volume_up',
+    'media_player.volume_down',
+    'media_player.media_next_track',
+    'media_player.media_previous_track',
+    'media_player.media_play_pause',
+    'script.turn_on',
+    'automation.trigger',
+    'persistent_notification.create'
+]);
+
+// Commands waiting for Home Assistant to come back, oldest first
+const offlineQueue = [];
+
+// Connectivity tracking for the offline queue
+let haReachable = true;
+let connectivityProbeTimer = null;
+let offlineQueueFlushing = false;
+
+/**
+ * Create an error for a failed request, flagged as transient if a retry may succeed
+ * @param {string} message - Error message
+ * @param {boolean} transient - True for timeouts, network errors and 5xx responses
+ * @returns {Error} - Error with a transient flag
+ */
+function createHAError(message, transient) {
+    const error = new Error(message);
+    error.transient = transient;
+    return error;
+}
+
+/**
+ * Check whether a service call can safely be sent more than once
+ * @param {string} domain - Service domain
+ * @param {string} service - Service name
+ * @returns {boolean} - True if retrying the call can't apply it twice
+ */
+function isIdempotentService(domain, service) {
+    return service !== 'toggle' && !NON_IDEMPOTENT_SERVICES.has(`${domain}.${service}`);
+}
+
+/**
+ * Backoff before a retry: exponential with jitter so retries from several calls don't line up
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+    const { baseDelay, maxDelay } = HA_CONFIG.retry;
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Call a service, retrying idempotent calls on transient failures
+ * Idempotent calls that still fail are queued until Home Assistant is reachable again.
+ * @param {string} domain - Service domain
+ * @param {string} service - Service name
+ * @param {Object} serviceData - Service data
+ * @returns {Promise} - Response promise
+ */
+async function callHAServiceWithRetry(domain, service, serviceData) {
+    const idempotent = isIdempotentService(domain, service);
+    const maxAttempts = idempotent ? HA_CONFIG.retry.maxAttempts : 1;
+    
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await callHAServiceDirect(domain, service, serviceData);
+        } catch (error) {
+            if (!error.transient) throw error;
+            
+            if (attempt >= maxAttempts) {
+                markHAUnreachable();
+                // A non-idempotent call may have reached HA before failing, so it is never replayed
+                if (!idempotent) throw error;
+                return enqueueOfflineCommand(domain, service, serviceData);
+            }
+            
+            const delay = getRetryDelay(attempt);
+            console.log(`🔁 ${domain}.${service} failed (${error.message}) - retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Hold a service call until Home Assistant is reachable again
+ * @param {string} domain - Service domain
+ * @param {string} service - Service name
+ * @param {Object} serviceData - Service data
+ * @returns {Promise} - Settles when the command is replayed or dropped
+ */
+function enqueueOfflineCommand(domain, service, serviceData) {
+    return new Promise((resolve, reject) => {
+        if (offlineQueue.length >= HA_CONFIG.offlineQueue.maxSize) {
+            const dropped = offlineQueue.shift();
+            dropped.reject(new Error(`Offline queue full - dropped ${dropped.domain}.${dropped.service}`));
+        }
+        
+        offlineQueue.push({ domain, service, serviceData, queuedAt: Date.now(), resolve, reject });
+        console.log(`📥 Queued ${domain}.${service} until Home Assistant is reachable (${offlineQueue.length} waiting)`);
+        
+        if (haReachable) {
+            flushOfflineQueue();
+        }
+    });
+}
+
+/**
+ * Drop queued commands that are older than the configured TTL
+ */
+function pruneOfflineQueue() {
+    const now = Date.now();
+    for (let i = offlineQueue.length - 1; i >= 0; i--) {
+        const command = offlineQueue[i];
+        const age = now - command.queuedAt;
+        if (age > HA_CONFIG.offlineQueue.ttl) {
+            offlineQueue.splice(i, 1);
+            command.reject(new Error(`Dropped stale ${command.domain}.${command.service} (queued ${Math.round(age / 1000)}s ago)`));
+        }
+    }
+}
+
+/**
+ * Replay queued commands in order while Home Assistant stays reachable
+ */
+async function flushOfflineQueue() {
+    if (offlineQueueFlushing) return;
+    offlineQueueFlushing = true;
+    
+    try {
+        pruneOfflineQueue();
+        if (offlineQueue.length > 0) {
+            console.log(`📤 Replaying ${offlineQueue.length} queued command(s)`);
+        }
+        
+        while (haReachable && offlineQueue.length > 0) {
+            const command = offlineQueue.shift();
+            try {
+                command.resolve(await callHAServiceDirect(command.domain, command.service, command.serviceData));
+            } catch (error) {
+                if (error.transient) {
+                    markHAUnreachable();
+                }
+                
+                if (error.transient && isIdempotentService(command.domain, command.service)) {
+                    // Still unreachable - keep the command at the front to preserve order
+                    offlineQueue.unshift(command);
+                } else {
+                    // A non-idempotent call may have reached HA before failing, so it is never replayed again
+                    command.reject(error);
+                }
+            }
+        }
+    } finally {
+        offlineQueueFlushing = false;
+    }
+}
+
+/**
+ * Record that Home Assistant can't be reached and start probing for it
+ */
+function markHAUnreachable() {
+    if (!haReachable) return;
+    haReachable = false;
+    console.log('📴 Home Assistant unreachable - holding commands until it is back');
+    
+    connectivityProbeTimer = setInterval(() => {
+        pruneOfflineQueue();
+        // A successful request marks Home Assistant reachable again
+        sendHARequest('/api/').catch(() => {});
+    }, HA_CONFIG.offlineQueue.probeInterval);
+}
+
+/**
+ * Record that Home Assistant responded and replay anything that was queued
+ */
+function markHAReachable() {
+    if (haReachable) return;
+    haReachable = true;
+    console.log('📶 Home Assistant reachable again');
+    
+    clearInterval(connectivityProbeTimer);
+    connectivityProbeTimer = null;
+    flushOfflineQueue();
+}
+
 /**
  * Universal device action handler - reduces repetitive service call patterns
  * @param {Object} device - Device configuration
@@ -292,9 +781,12 @@ async function callHAService(domain, service, serviceData = {}) {
  * @returns {Promise} - Service response
  */
 async function executeDeviceAction(device, domain, service, data = {}, successMsg = '', onSuccess = null) {
+    // Rejected before the try, so it's only logged once
+    await ensureServiceSupported(device, domain, service);
+    
     try {
         const response = await callHAService(domain, service, {
-            entity_id: device.entityId,
+            entity_id: getDeviceEntityTarget(device),
             ...data
         });
         
@@ -318,11 +810,49 @@ async function setMediaVolume(deviceId, volume) {
     const device = findDevice(deviceId);
     if (!device) throw new Error(`Device ${deviceId} not found`);
     
+    // Stay below the device's volume cap (the refresh afterwards moves the Twist to the capped volume)
+    const cap = getVolumeCap(device);
+    if (volume > cap) {
+        console.log(`🔇 ${device.name} is limited to ${cap}% - not setting ${Math.round(volume)}%`);
+        volume = cap;
+    }
+    
+    // Players without volume_set can still step towards the requested volume
+    const capabilities = await getDeviceCapabilities(device);
+    if (!supportsService(capabilities, 'media_player', 'volume_set') &&
+        supportsService(capabilities, 'media_player', 'volume_up')) {
+        const stateData = await getDeviceState(device);
+        if (typeof stateData.attributes.volume_level !== 'number') {
+            throw createUnsupportedError(device, 'setting an absolute volume (it only steps up/down)');
+        }
+        return stepMediaVolume(deviceId, volume - stateData.attributes.volume_level * 100);
+    }
+    
     const volumeLevel = volume / 100; // Convert percentage to 0-1 range
     return executeDeviceAction(device, 'media_player', 'volume_set', 
         { volume_level: volumeLevel }, '', () => getCurrentVolumeAndUpdate(device));
 }
 
+/**
+ * Change volume with volume_up/volume_down, for players without volume_set
+ * @param {string} deviceId - Device identifier
+ * @param {number} delta - Volume change in percent, rounded to whole steps of device.volumeStep (default 10)
+ */
+async function stepMediaVolume(deviceId, delta) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    const steps = Math.min(10, Math.round(Math.abs(delta) / (device.volumeStep || 10)));
+    const service = delta > 0 ? 'volume_up' : 'volume_down';
+    
+    // One call per step; volume_up/volume_down are never retried, so a step can't be applied twice
+    for (let i = 0; i < steps; i++) {
+        await executeDeviceAction(device, 'media_player', service, {});
+    }
+    
+    await getCurrentVolumeAndUpdate(device);
+}
+
 /**
  * Set power state for a media device
  */
@@ -334,6 +864,20 @@ async function setMediaPower(deviceId, powerOn) {
     return executeDeviceAction(device, 'media_player', service, {}, `power ${powerOn ? 'on' : 'off'}`);
 }
 
+/**
+ * Turn a media player on with time-of-day profile settings
+ * @param {string} deviceId - Device identifier
+ * @param {Object} settings - { volume (0-100%) }, optional
+ */
+async function applyMediaProfile(deviceId, settings) {
+    await setMediaPower(deviceId, true);
+    
+    // Volume caps still apply
+    if (settings.volume !== undefined) {
+        await setMediaVolume(deviceId, settings.volume);
+    }
+}
+
 /**
  * Set mute state for a media device
  */
@@ -375,6 +919,72 @@ async function setMediaNextTrack(deviceId) {
     return executeDeviceAction(device, 'media_player', 'media_next_track', {}, 'skipped to next track');
 }
 
+/**
+ * Go back to the previous track
+ */
+async function setMediaPreviousTrack(deviceId) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'media_player', 'media_previous_track', {}, 'went back to previous track');
+}
+
+/**
+ * Seek to a position in the current media
+ */
+async function setMediaSeek(deviceId, position) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    const seekPosition = Math.round(position);
+    return executeDeviceAction(device, 'media_player', 'media_seek', 
+        { seek_position: seekPosition }, `seeked to ${seekPosition}s`);
+}
+
+/**
+ * Select an input source (must be one of the entity's source_list entries)
+ */
+async function setMediaSource(deviceId, source) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'media_player', 'select_source', 
+        { source: source }, `source set to ${source}`);
+}
+
+/**
+ * Set shuffle on or off
+ */
+async function setMediaShuffle(deviceId, shuffle) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'media_player', 'shuffle_set', 
+        { shuffle: shuffle }, `shuffle ${shuffle ? 'on' : 'off'}`);
+}
+
+/**
+ * Set repeat mode ('off', 'all' or 'one')
+ */
+async function setMediaRepeat(deviceId, repeat) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'media_player', 'repeat_set', 
+        { repeat: repeat }, `repeat ${repeat}`);
+}
+
+/**
+ * Select a sound mode (must be one of the entity's sound_mode_list entries)
+ */
+async function setMediaSoundMode(deviceId, soundMode) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'media_player', 'select_sound_mode', 
+        { sound_mode: soundMode }, `sound mode set to ${soundMode}`);
+}
+
 /**
  * Find a device by ID across all device categories
  * @param {string} deviceId - Device identifier
@@ -392,30 +1002,292 @@ function findDevice(deviceId) {
 }
 
 // ============================================================================
-// COLOR CONVERSION HELPER FUNCTIONS
+// DEVICE GROUPS
 // ============================================================================
 
+// Entity states that count as "off" when combining group member states
+const INACTIVE_STATES = ['off', 'closed', 'idle', 'standby', 'unavailable', 'unknown'];
+
+// Default way each numeric attribute is combined across group members
+const GROUP_AGGREGATES = {
+    volume_level: 'max',
+    brightness: 'average',
+    current_position: 'average',
+    temperature: 'average'
+};
+
 /**
- * Convert RGB values to HSV (Hue, Saturation, Value)
- * @param {number} r - Red component (0-255)
- * @param {number} g - Green component (0-255)
- * @param {number} b - Blue component (0-255)
- * @returns {Object} - HSV object with h (0-1), s (0-1), v (0-1)
+ * Check whether a device is a group of several entities
+ * @param {Object} device - Device configuration
+ * @returns {boolean} - True if the device has an entityIds list
  */
-function rgbToHsv(r, g, b) {
-    r /= 255;
-    g /= 255;
-    b /= 255;
+function isDeviceGroup(device) {
+    return Array.isArray(device.entityIds);
+}
+
+/**
+ * Get every Home Assistant entity a device controls
+ * @param {Object} device - Device configuration
+ * @returns {Array<string>} - Entity IDs
+ */
+function getDeviceEntityIds(device) {
+    return isDeviceGroup(device) ? device.entityIds : [device.entityId];
+}
+
+/**
+ * Get the entity_id value for a service call (a list for groups, so HA fans out in one call)
+ * @param {Object} device - Device configuration
+ * @returns {string|Array<string>} - Entity ID or list of entity IDs
+ */
+function getDeviceEntityTarget(device) {
+    return isDeviceGroup(device) ? device.entityIds : device.entityId;
+}
+
+/**
+ * Get the current state of a device (combined from all members for groups)
+ * @param {Object} device - Device configuration
+ * @returns {Promise<Object>} - Entity state
+ */
+async function getDeviceState(device) {
+    if (!isDeviceGroup(device)) {
+        return getEntityState(device.entityId);
+    }
     
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    const diff = max - min;
+    // Unreachable members shouldn't hide the state of the others
+    const memberStates = (await Promise.all(device.entityIds.map(entityId =>
+        getEntityState(entityId).catch(() => null)
+    ))).filter(Boolean);
     
-    let h = 0;
-    let s = max === 0 ? 0 : diff / max;
-    let v = max;
+    if (memberStates.length === 0) {
+        throw new Error(`No members of ${device.name} could be read`);
+    }
     
-    if (diff !== 0) {
+    return aggregateGroupState(device, memberStates);
+}
+
+/**
+ * Combine numeric values with the given aggregate
+ * @param {Array<number>} values - Member values
+ * @param {string} aggregate - 'average', 'max' or 'min'
+ * @returns {number} - Combined value
+ */
+function aggregateValues(values, aggregate) {
+    if (aggregate === 'max') return Math.max(...values);
+    if (aggregate === 'min') return Math.min(...values);
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Build a single entity state from the states of a group's members
+ * @param {Object} device - Group device configuration
+ * @param {Array<Object>} memberStates - Member entity states
+ * @returns {Object} - Combined entity state
+ */
+function aggregateGroupState(device, memberStates) {
+    const activeMembers = memberStates.filter(s => !INACTIVE_STATES.includes(s.state));
+    
+    // The group is "on" as soon as any member is; attributes like colors follow the first active member
+    const leader = activeMembers[0] || memberStates[0];
+    const attributes = { ...leader.attributes };
+    
+    Object.keys(GROUP_AGGREGATES).forEach(attribute => {
+        // Off lights count as brightness 0 (one light at 100% and one off average to 50%).
+        // Off players report no volume and unavailable members no value, so those are left out
+        const values = memberStates
+            .map(s => attribute === 'brightness' && s.state === 'off' ? 0 : s.attributes[attribute])
+            .filter(value => typeof value === 'number');
+        
+        if (values.length > 0) {
+            attributes[attribute] = aggregateValues(values, device.aggregate || GROUP_AGGREGATES[attribute]);
+        } else {
+            delete attributes[attribute];
+        }
+    });
+    
+    attributes.is_volume_muted = memberStates.every(s => s.attributes.is_volume_muted);
+    
+    return {
+        entity_id: device.id,
+        state: leader.state,
+        attributes
+    };
+}
+
+// ============================================================================
+// ENTITY CAPABILITIES
+// ============================================================================
+
+// supported_features bits each service needs (any of them), services not listed are always allowed
+const SERVICE_FEATURES = {
+    media_player: {
+        media_pause: 1,             // PAUSE
+        media_seek: 2,              // SEEK
+        volume_set: 4,              // VOLUME_SET
+        volume_mute: 8,             // VOLUME_MUTE
+        media_previous_track: 16,   // PREVIOUS_TRACK
+        media_next_track: 32,       // NEXT_TRACK
+        turn_on: 128,               // TURN_ON
+        turn_off: 256,              // TURN_OFF
+        volume_up: 4 | 1024,        // VOLUME_SET or VOLUME_STEP
+        volume_down: 4 | 1024,
+        select_source: 2048,        // SELECT_SOURCE
+        media_play: 16384,          // PLAY
+        shuffle_set: 32768,         // SHUFFLE_SET
+        select_sound_mode: 65536,   // SELECT_SOUND_MODE
+        repeat_set: 262144          // REPEAT_SET
+    },
+    cover: {
+        open_cover: 1,              // OPEN
+        close_cover: 2,             // CLOSE
+        set_cover_position: 4,      // SET_POSITION
+        stop_cover: 8,              // STOP
+        open_cover_tilt: 16,        // OPEN_TILT
+        close_cover_tilt: 32,       // CLOSE_TILT
+        stop_cover_tilt: 64,        // STOP_TILT
+        set_cover_tilt_position: 128 // SET_TILT_POSITION
+    },
+    fan: {
+        set_percentage: 1,          // SET_SPEED
+        oscillate: 2,               // OSCILLATE
+        set_preset_mode: 8          // PRESET_MODE
+    },
+    climate: {
+        set_temperature: 1 | 2,     // TARGET_TEMPERATURE or TARGET_TEMPERATURE_RANGE
+        set_fan_mode: 8,            // FAN_MODE
+        set_preset_mode: 16         // PRESET_MODE
+    }
+};
+
+// Capabilities per entity id, read from the first state seen for the entity
+const entityCapabilities = new Map();
+
+/**
+ * Remember the capabilities of an entity the first time its state is seen
+ * Unavailable entities don't report their features, so they're read again later
+ * @param {Object} stateData - Entity state from Home Assistant
+ */
+function rememberEntityCapabilities(stateData) {
+    if (entityCapabilities.has(stateData.entity_id) || stateData.state === 'unavailable') {
+        return;
+    }
+    
+    const attributes = stateData.attributes || {};
+    entityCapabilities.set(stateData.entity_id, {
+        features: typeof attributes.supported_features === 'number' ? attributes.supported_features : null,
+        colorModes: attributes.supported_color_modes || null
+    });
+}
+
+/**
+ * Get the capabilities of an entity, reading its state if it wasn't seen yet
+ * @param {string} entityId - Home Assistant entity ID
+ * @returns {Promise<Object|null>} - {features, colorModes}, null if unknown
+ */
+async function getEntityCapabilities(entityId) {
+    if (!entityCapabilities.has(entityId)) {
+        try {
+            await getEntityState(entityId); // Remembers the capabilities
+        } catch (error) {
+            return null;
+        }
+    }
+    return entityCapabilities.get(entityId) || null;
+}
+
+/**
+ * Get the capabilities of a device; a group only has what all its members have
+ * @param {Object} device - Device configuration
+ * @returns {Promise<Object>} - {features, colorModes}, each null if unknown (everything allowed)
+ */
+async function getDeviceCapabilities(device) {
+    const known = (await Promise.all(getDeviceEntityIds(device).map(getEntityCapabilities))).filter(Boolean);
+    
+    const featureSets = known.map(c => c.features).filter(features => features !== null);
+    const colorModeLists = known.map(c => c.colorModes).filter(Boolean);
+    
+    return {
+        features: featureSets.length > 0 ? featureSets.reduce((all, features) => all & features) : null,
+        colorModes: colorModeLists.length > 0
+            ? colorModeLists.reduce((all, modes) => all.filter(mode => modes.includes(mode)))
+            : null
+    };
+}
+
+/**
+ * Check whether capabilities allow a service
+ * @param {Object} capabilities - Device capabilities
+ * @param {string} domain - Service domain
+ * @param {string} service - Service name
+ * @returns {boolean} - True if supported (or unknown)
+ */
+function supportsService(capabilities, domain, service) {
+    const requiredFeatures = SERVICE_FEATURES[domain] && SERVICE_FEATURES[domain][service];
+    if (!requiredFeatures || capabilities.features === null) {
+        return true;
+    }
+    return (capabilities.features & requiredFeatures) !== 0;
+}
+
+/**
+ * Check whether a light can dim (any color mode other than onoff)
+ * @param {Object} capabilities - Device capabilities
+ * @returns {boolean} - True if brightness is supported (or unknown)
+ */
+function supportsBrightness(capabilities) {
+    return !capabilities.colorModes || capabilities.colorModes.some(mode => mode !== 'onoff');
+}
+
+/**
+ * Create the error for an action a device can't perform (already logged, so not logged again)
+ * @param {Object} device - Device configuration
+ * @param {string} what - What isn't supported
+ * @returns {Error} - Error with unsupported = true
+ */
+function createUnsupportedError(device, what) {
+    console.log(`🚫 ${device.name} doesn't support ${what}`);
+    const error = new Error(`${device.name} doesn't support ${what}`);
+    error.unsupported = true;
+    return error;
+}
+
+/**
+ * Reject a service call the device's entity doesn't support
+ * @param {Object} device - Device configuration
+ * @param {string} domain - Service domain
+ * @param {string} service - Service name
+ */
+async function ensureServiceSupported(device, domain, service) {
+    const capabilities = await getDeviceCapabilities(device);
+    if (!supportsService(capabilities, domain, service)) {
+        throw createUnsupportedError(device, `${domain}.${service}`);
+    }
+}
+
+// ============================================================================
+// COLOR CONVERSION HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Convert RGB values to HSV (Hue, Saturation, Value)
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @returns {Object} - HSV object with h (0-1), s (0-1), v (0-1)
+ */
+function rgbToHsv(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const diff = max - min;
+    
+    let h = 0;
+    let s = max === 0 ? 0 : diff / max;
+    let v = max;
+    
+    if (diff !== 0) {
         switch (max) {
             case r:
                 h = ((g - b) / diff) % 6;
@@ -434,11 +1306,85 @@ function rgbToHsv(r, g, b) {
     return { h, s, v };
 }
 
+/**
+ * Convert HSV to RGB
+ * @param {number} h - Hue (0-1)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} v - Value (0-1)
+ * @returns {Array} - RGB color array [r, g, b] (0-255 each)
+ */
+function hsvToRgb(h, s, v) {
+    const i = Math.floor(h * 6) % 6;
+    const f = h * 6 - Math.floor(h * 6);
+    const p = v * (1 - s);
+    const q = v * (1 - f * s);
+    const t = v * (1 - (1 - f) * s);
+    
+    const [r, g, b] = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i];
+    return [r, g, b].map(c => Math.round(c * 255));
+}
+
+/**
+ * Convert RGB to CIE xy (sRGB primaries, D65 white point)
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @returns {Array} - [x, y] (0-1 each)
+ */
+function rgbToXy(r, g, b) {
+    // Undo the sRGB gamma curve
+    const [lr, lg, lb] = [r, g, b].map(c => {
+        c /= 255;
+        return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+    });
+    
+    const X = lr * 0.4124 + lg * 0.3576 + lb * 0.1805;
+    const Y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+    const Z = lr * 0.0193 + lg * 0.1192 + lb * 0.9505;
+    const sum = X + Y + Z;
+    
+    // Black has no chromaticity, use the white point
+    if (sum === 0) return [0.3127, 0.329];
+    return [Math.round(X / sum * 10000) / 10000, Math.round(Y / sum * 10000) / 10000];
+}
+
+/**
+ * Build the color part of a light.turn_on call for the light's color modes
+ * @param {Array|null} colorModes - supported_color_modes (null if unknown)
+ * @param {Array} rgbColor - RGB color array [r, g, b] (0-255 each)
+ * @param {Array} hsColor - Optional [hue 0-360, saturation 0-100] when the color came from HS
+ * @returns {Object|null} - Service data, or null if the light can't show colors
+ */
+function buildColorPayload(colorModes, rgbColor, hsColor = null) {
+    const [r, g, b] = rgbColor;
+    const hs = () => {
+        if (hsColor) return hsColor;
+        const hsv = rgbToHsv(r, g, b);
+        return [Math.round(hsv.h * 360), Math.round(hsv.s * 100)];
+    };
+    
+    // Without color modes (older Home Assistant), send the color the way it was given
+    if (!colorModes) {
+        return hsColor ? { hs_color: hsColor } : { rgb_color: [r, g, b] };
+    }
+    
+    // White is taken out of the RGB channels for lights with white LEDs
+    const white = Math.min(r, g, b);
+    if (colorModes.includes('hs')) return { hs_color: hs() };
+    if (colorModes.includes('rgb')) return { rgb_color: [r, g, b] };
+    if (colorModes.includes('xy')) return { xy_color: rgbToXy(r, g, b) };
+    if (colorModes.includes('rgbww')) return { rgbww_color: [r - white, g - white, b - white, white, white] };
+    if (colorModes.includes('rgbw')) return { rgbw_color: [r - white, g - white, b - white, white] };
+    
+    // color_temp, brightness and onoff lights can't show a color
+    return null;
+}
+
 // ============================================================================
-// DEBOUNCING SYSTEM FOR TWIST UPDATES
+// THROTTLING SYSTEM FOR TWIST UPDATES
 // ============================================================================
 
-// Store pending updates to prevent API flooding
+// Store pending updates to prevent API flooding (one entry per "{deviceId}_{updateType}")
 const pendingUpdates = new Map();
 
 // Track expected final states for immediate virtual device updates
@@ -450,24 +1396,43 @@ const colorMemory = new Map();
 // Color configuration
 const MEANINGFUL_SATURATION_THRESHOLD = 5; // Below 5% saturation is considered essentially white
 
-// Debounce configuration  
-const DEBOUNCE_DELAY = 100; // Reduced to 100ms for better responsiveness
+// Last time an update was sent per "{deviceId}_{updateType}", for the leading edge
+const lastSentTimes = new Map();
+
+// Last value Home Assistant accepted per "{deviceId}_{updateType}", restored after a failed update
+const confirmedStates = new Map();
+
+// Consecutive failed updates per device id, for the health warning
+const deviceFailures = new Map();
+
+/**
+ * Get the throttle timing for an update type
+ * @param {string} updateType - Type of update (brightness, volume, position, ...)
+ * @returns {Object} - {delay, maxWait} in ms
+ */
+function getThrottleTiming(updateType) {
+    return { ...HA_CONFIG.throttle.default, ...(HA_CONFIG.throttle[updateType] || {}) };
+}
 
 /**
- * Debounced device update with immediate virtual device state update
+ * Throttled device update with immediate virtual device state update
+ *
+ * The first change after a quiet period is sent right away (leading edge). Further changes
+ * are sent once the Twist rests for `delay` ms (trailing edge), but at least every `maxWait` ms
+ * while it keeps moving. Only the latest value is sent, and never while the previous call
+ * for the same device/type is still running.
+ * If the call fails, the Twist is set back to the last accepted value and re-read from Home Assistant.
+ *
  * @param {string} deviceId - Device identifier
  * @param {string} updateType - Type of update (brightness, color, volume, etc.)
  * @param {Object} updateData - Data to send to Home Assistant
- * @param {Function} updateFunction - Function to call with the final update
+ * @param {Function} updateFunction - Function to call with the final update (logs its own errors and rethrows)
  * @param {Function} immediateStateUpdate - Function to immediately update virtual device state
  */
 function debouncedDeviceUpdate(deviceId, updateType, updateData, updateFunction, immediateStateUpdate = null) {
     const key = `${deviceId}_${updateType}`;
-    
-    // Cancel previous timeout for this device/type combination
-    if (pendingUpdates.has(key)) {
-        clearTimeout(pendingUpdates.get(key).timeoutId);
-    }
+    const { delay, maxWait } = getThrottleTiming(updateType);
+    const now = Date.now();
     
     // Store expected final state for this device/type
     expectedStates.set(key, updateData);
@@ -481,25 +1446,141 @@ function debouncedDeviceUpdate(deviceId, updateType, updateData, updateFunction,
         }
     }
     
-    // Store the update with a new timeout
-    const timeoutId = setTimeout(async () => {
-        try {
-            await updateFunction(updateData);
-        } catch (error) {
-            console.error(`❌ Debounced update failed for ${deviceId}:`, error);
-        } finally {
+    let pending = pendingUpdates.get(key);
+    if (!pending) {
+        pending = { deviceId, timeoutId: null, inFlight: false, hasUpdate: false, firstUpdateTime: null };
+        pendingUpdates.set(key, pending);
+    }
+    
+    pending.updateData = updateData;
+    pending.updateFunction = updateFunction;
+    pending.immediateStateUpdate = immediateStateUpdate;
+    
+    // Leading edge: nothing running or waiting, and the last call was long enough ago
+    const quiet = !pending.inFlight && !pending.timeoutId && now - (lastSentTimes.get(key) || 0) >= delay;
+    if (quiet) {
+        sendThrottledUpdate(key);
+        return;
+    }
+    
+    // Trailing edge: wait for the Twist to rest, but no longer than maxWait since the first unsent change
+    if (!pending.hasUpdate) {
+        pending.hasUpdate = true;
+        pending.firstUpdateTime = now;
+    }
+    clearTimeout(pending.timeoutId);
+    const sendAt = Math.min(now + delay, pending.firstUpdateTime + maxWait);
+    pending.timeoutId = setTimeout(() => {
+        pending.timeoutId = null;
+        // A running call sends the latest value when it's done
+        if (!pending.inFlight) {
+            sendThrottledUpdate(key);
+        }
+    }, Math.max(0, sendAt - now));
+}
+
+/**
+ * Send the latest value of a throttled update
+ * @param {string} key - "{deviceId}_{updateType}"
+ */
+async function sendThrottledUpdate(key) {
+    const pending = pendingUpdates.get(key);
+    if (!pending) return;
+    
+    const updateData = pending.updateData;
+    pending.inFlight = true;
+    pending.hasUpdate = false;
+    pending.firstUpdateTime = null;
+    lastSentTimes.set(key, Date.now());
+    
+    try {
+        await pending.updateFunction(updateData);
+        
+        if (pending.immediateStateUpdate) {
+            confirmedStates.set(key, { updateData, immediateStateUpdate: pending.immediateStateUpdate });
+        }
+        recordUpdateSuccess(pending.deviceId);
+    } catch (error) {
+        // The update function already logged the error
+        recordUpdateFailure(pending.deviceId);
+        
+        // A newer value on its way will set the Twist anyway
+        if (!pending.hasUpdate) {
+            await rollBackTwistState(pending.deviceId, key);
+        }
+    } finally {
+        pending.inFlight = false;
+        
+        if (pending.hasUpdate && !pending.timeoutId) {
+            // Changes came in while the call was running and their time is already up
+            sendThrottledUpdate(key);
+        } else if (!pending.hasUpdate) {
             // Clean up the pending update and expected state
             pendingUpdates.delete(key);
             expectedStates.delete(key);
         }
-    }, DEBOUNCE_DELAY);
+    }
+}
+
+/**
+ * Reset a device's failure count after a successful update
+ * @param {string} deviceId - Device identifier
+ */
+function recordUpdateSuccess(deviceId) {
+    if ((deviceFailures.get(deviceId) || 0) >= HA_CONFIG.health.failureThreshold) {
+        const device = findDevice(deviceId);
+        console.log(`💚 ${device ? device.name : deviceId} is responding again`);
+    }
+    deviceFailures.delete(deviceId);
+}
+
+/**
+ * Count a failed update and warn once a device keeps failing
+ * @param {string} deviceId - Device identifier
+ */
+function recordUpdateFailure(deviceId) {
+    const failures = (deviceFailures.get(deviceId) || 0) + 1;
+    deviceFailures.set(deviceId, failures);
+    
+    if (failures === HA_CONFIG.health.failureThreshold) {
+        const device = findDevice(deviceId);
+        console.log(`⚠️ ${device ? device.name : deviceId} failed ${failures} updates in a row - check that it's available in Home Assistant`);
+    }
+}
+
+/**
+ * Undo an optimistic Twist state after a failed update
+ * @param {string} deviceId - Device identifier
+ * @param {string} key - "{deviceId}_{updateType}" of the failed update (optional)
+ */
+async function rollBackTwistState(deviceId, key = null) {
+    // Show the last value Home Assistant accepted right away...
+    const confirmed = key && confirmedStates.get(key);
+    if (confirmed) {
+        try {
+            confirmed.immediateStateUpdate(confirmed.updateData);
+        } catch (error) {
+            console.error(`❌ Restoring state failed for ${deviceId}:`, error);
+        }
+    }
     
-    // Store the pending update
-    pendingUpdates.set(key, {
-        timeoutId,
-        updateData,
-        updateFunction
-    });
+    // ...then the real state, if Home Assistant can be reached
+    const device = findDevice(deviceId);
+    if (device) {
+        await syncDeviceState(device);
+    }
+}
+
+/**
+ * Check whether a device has a throttled update waiting to be sent or still running
+ * @param {string} deviceId - Device identifier
+ * @returns {boolean} - True if any update type is pending for the device
+ */
+function hasPendingUpdate(deviceId) {
+    for (const pending of pendingUpdates.values()) {
+        if (pending.deviceId === deviceId) return true;
+    }
+    return false;
 }
 
 /**
@@ -545,6 +1626,12 @@ async function setLightBrightness(deviceId, brightness) {
     if (!device) throw new Error(`Device ${deviceId} not found`);
     
     const clampedBrightness = Math.max(0, Math.min(255, Math.round(brightness)));
+    
+    // On/off-only lights are just turned on
+    if (!supportsBrightness(await getDeviceCapabilities(device))) {
+        return setLightPower(deviceId, true);
+    }
+    
     return executeDeviceAction(device, 'light', 'turn_on', 
         { brightness: clampedBrightness }, `brightness set to ${clampedBrightness}`,
         () => getCurrentBrightnessAndUpdate(device));
@@ -562,6 +1649,57 @@ async function setLightPower(deviceId, powerOn) {
         `turned ${powerOn ? 'on' : 'off'}`, () => getCurrentBrightnessAndUpdate(device));
 }
 
+// supported_features bit for lights that can fade over a transition (LightEntityFeature.TRANSITION)
+const LIGHT_TRANSITION_FEATURE = 32;
+
+/**
+ * Turn a light off over a transition (sleep timers)
+ * The light dims itself, so it comes back at its old brightness on the next "on".
+ * @param {Object} device - Device configuration
+ * @param {number} seconds - Transition length
+ * @returns {Promise<boolean>} - False if the light can't do transitions (nothing was sent)
+ */
+async function fadeOutLight(device, seconds) {
+    const capabilities = await getDeviceCapabilities(device);
+    if (capabilities.features === null || (capabilities.features & LIGHT_TRANSITION_FEATURE) === 0) {
+        return false;
+    }
+    
+    await executeDeviceAction(device, 'light', 'turn_off', { transition: seconds }, `fading out over ${seconds}s`);
+    return true;
+}
+
+/**
+ * Turn a light on with time-of-day profile settings
+ * @param {string} deviceId - Device identifier
+ * @param {Object} settings - { brightness (1-100%), kelvin }, both optional
+ * @returns {Promise} - Response promise
+ */
+async function applyLightProfile(deviceId, settings) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) throw new Error(`Light device ${deviceId} not found`);
+    
+    const data = {};
+    const changes = [];
+    
+    if (settings.brightness !== undefined && supportsBrightness(await getDeviceCapabilities(device))) {
+        const percentage = Math.max(1, Math.min(100, settings.brightness));
+        data.brightness = Math.round(percentage * 2.55);
+        changes.push(`${percentage}%`);
+    }
+    
+    // Lights without color temperature just skip it
+    const range = settings.kelvin !== undefined ? await getColorTempRange(device) : null;
+    if (range) {
+        data.color_temp_kelvin = Math.round(Math.max(range.min, Math.min(range.max, settings.kelvin)));
+        changes.push(`${data.color_temp_kelvin}K`);
+    }
+    
+    return executeDeviceAction(device, 'light', 'turn_on', data,
+        changes.length > 0 ? `turned on at ${changes.join(', ')}` : 'turned on',
+        () => getCurrentBrightnessAndUpdate(device));
+}
+
 /**
  * Set color for a color light device
  * @param {string} deviceId - Device identifier
@@ -577,10 +1715,16 @@ async function setLightColor(deviceId, rgbColor) {
     // Validate RGB values
     const [r, g, b] = rgbColor.map(c => Math.max(0, Math.min(255, Math.round(c))));
     
+    // Send the color in a format the light supports (hs, rgb, xy, rgbww or rgbw)
+    const colorData = buildColorPayload((await getDeviceCapabilities(device)).colorModes, [r, g, b]);
+    if (!colorData) {
+        throw createUnsupportedError(device, 'colors');
+    }
+    
     try {
         const response = await callHAService('light', 'turn_on', {
-            entity_id: device.entityId,
-            rgb_color: [r, g, b]
+            entity_id: getDeviceEntityTarget(device),
+            ...colorData
         });
         
         if (response.success) {
@@ -607,63 +1751,298 @@ async function setLightColor(deviceId, rgbColor) {
     }
 }
 
-// ============================================================================
-// CLIMATE CONTROL FUNCTIONS
-// ============================================================================
+// Color temperature range used when a light doesn't report its own (about 154-500 mireds)
+const DEFAULT_COLOR_TEMP_RANGE = { min: 2000, max: 6500 };
+
+// Color temperature range (Kelvin) per device id, null for lights without color temperature
+const colorTempRanges = new Map();
 
 /**
- * Set temperature for a climate device
- * @param {string} deviceId - Device identifier
- * @param {number} temperature - Target temperature in °C
- * @returns {Promise} - Response promise
+ * Read the color temperature range a light entity supports
+ * @param {Object} attributes - Entity attributes from Home Assistant
+ * @param {boolean} assumeSupported - Use the default range if the entity doesn't say
+ * @returns {Object|null} - {min, max} in Kelvin, or null without color temperature support
  */
-async function setClimateTemperature(deviceId, temperature) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'climate') {
-        throw new Error(`Climate device ${deviceId} not found`);
+function getColorTempRangeFromAttributes(attributes, assumeSupported) {
+    if (attributes.min_color_temp_kelvin && attributes.max_color_temp_kelvin) {
+        return { min: attributes.min_color_temp_kelvin, max: attributes.max_color_temp_kelvin };
     }
     
-    // Use device-specific temperature range or default
-    const tempRange = device.tempRange || HA_CONFIG.valueRanges.climate;
-    const clampedTemp = Math.max(tempRange.min, Math.min(tempRange.max, Math.round(temperature * 10) / 10));
-    
-    try {
-        const response = await callHAService('climate', 'set_temperature', {
-            entity_id: device.entityId,
-            temperature: clampedTemp
-        });
-        
-        if (response.success) {
-            // console.log(`✅ ${device.name} temperature set to ${clampedTemp}°C`);
-            // Update virtual device state
-            await getCurrentTemperatureAndUpdate(device);
-            return response;
-        } else {
-            throw new Error(`Failed to set temperature for ${device.name}`);
-        }
-    } catch (error) {
-        console.error(`❌ Error setting temperature for ${device.name}:`, error);
-        throw error;
+    // Older Home Assistant versions only report mireds (the warmest light has the most mireds)
+    if (attributes.min_mireds && attributes.max_mireds) {
+        return {
+            min: Math.round(1000000 / attributes.max_mireds),
+            max: Math.round(1000000 / attributes.min_mireds)
+        };
     }
+    
+    const colorModes = attributes.supported_color_modes;
+    const supported = colorModes ? colorModes.includes('color_temp') : assumeSupported;
+    return supported ? { ...DEFAULT_COLOR_TEMP_RANGE } : null;
 }
 
 /**
- * Set HVAC mode for a climate device
- * @param {string} deviceId - Device identifier
- * @param {string} mode - HVAC mode ('heat', 'cool', 'auto', 'off', etc.)
- * @returns {Promise} - Response promise
+ * Remember the color temperature range of a light, updated on every state read
+ * @param {Object} device - Device configuration
+ * @param {Object} attributes - Entity attributes from Home Assistant
+ * @returns {Object|null} - {min, max} in Kelvin, or null without color temperature support
  */
-async function setClimateMode(deviceId, mode) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'climate') {
-        throw new Error(`Climate device ${deviceId} not found`);
+function rememberColorTempRange(device, attributes) {
+    // Color lights configured before color modes existed are assumed to support color temperature
+    const range = getColorTempRangeFromAttributes(attributes, device.type === 'color_light');
+    colorTempRanges.set(device.id, range);
+    return range;
+}
+
+/**
+ * Get the color temperature range of a light, reading its state if it wasn't seen yet
+ * @param {Object} device - Device configuration
+ * @returns {Promise<Object|null>} - {min, max} in Kelvin, or null without color temperature support
+ */
+async function getColorTempRange(device) {
+    if (colorTempRanges.has(device.id)) {
+        return colorTempRanges.get(device.id);
     }
     
-    try {
-        const response = await callHAService('climate', 'set_hvac_mode', {
-            entity_id: device.entityId,
-            hvac_mode: mode
-        });
+    const stateData = await getDeviceState(device);
+    return rememberColorTempRange(device, stateData.attributes);
+}
+
+/**
+ * Convert a Twist color temperature (0 = coolest, 1 = warmest) to Kelvin
+ * The scale is linear in mireds, which matches how the eye perceives the change
+ * @param {number} position - Color temperature (0-1)
+ * @param {Object} range - {min, max} in Kelvin
+ * @returns {number} - Color temperature in Kelvin
+ */
+function colorTempPositionToKelvin(position, range) {
+    const minMireds = 1000000 / range.max;
+    const maxMireds = 1000000 / range.min;
+    return Math.round(1000000 / (minMireds + position * (maxMireds - minMireds)));
+}
+
+/**
+ * Convert Kelvin to a Twist color temperature (0 = coolest, 1 = warmest)
+ * @param {number} kelvin - Color temperature in Kelvin
+ * @param {Object} range - {min, max} in Kelvin
+ * @returns {number} - Color temperature (0-1)
+ */
+function kelvinToColorTempPosition(kelvin, range) {
+    const minMireds = 1000000 / range.max;
+    const maxMireds = 1000000 / range.min;
+    return Math.max(0, Math.min(1, (1000000 / kelvin - minMireds) / (maxMireds - minMireds)));
+}
+
+/**
+ * Set color temperature for a light device
+ * @param {string} deviceId - Device identifier
+ * @param {number} kelvin - Color temperature in Kelvin (clamped to what the light supports)
+ * @returns {Promise} - Response promise
+ */
+async function setLightColorTemperature(deviceId, kelvin) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) {
+        throw new Error(`Light device ${deviceId} not found`);
+    }
+    
+    const range = await getColorTempRange(device);
+    if (!range) {
+        throw new Error(`${device.name} doesn't support color temperature`);
+    }
+    
+    const clampedKelvin = Math.round(Math.max(range.min, Math.min(range.max, kelvin)));
+    return executeDeviceAction(device, 'light', 'turn_on',
+        { color_temp_kelvin: clampedKelvin }, `color temperature set to ${clampedKelvin}K`,
+        () => getCurrentBrightnessAndUpdate(device));
+}
+
+// ============================================================================
+// CLIMATE CONTROL FUNCTIONS
+// ============================================================================
+
+// Climate defaults per Home Assistant temperature unit (unit_system from /api/config)
+const TEMPERATURE_UNITS = {
+    '°C': { default: 20, increment: 1, step: 0.1 },   // step is used when the entity reports no target_temp_step
+    '°F': { default: 68, increment: 1, step: 1 }
+};
+
+// Temperature unit of the Home Assistant instance, read at startup
+let temperatureUnit = '°C';
+
+/**
+ * Get the climate defaults for Home Assistant's temperature unit
+ * @returns {Object} - {default, increment, step, range}
+ */
+function getTemperatureUnitDefaults() {
+    const range = temperatureUnit === '°F' ? HA_CONFIG.valueRanges.climateFahrenheit : HA_CONFIG.valueRanges.climate;
+    return { ...TEMPERATURE_UNITS[temperatureUnit], range };
+}
+
+/**
+ * Convert a temperature to Home Assistant's unit
+ * @param {number} value - Temperature
+ * @param {string} fromUnit - Unit of the value ('°C' or '°F')
+ * @returns {number} - Temperature in Home Assistant's unit
+ */
+function convertTemperature(value, fromUnit) {
+    if (fromUnit === temperatureUnit) {
+        return value;
+    }
+    return fromUnit === '°F' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+}
+
+/**
+ * Format a temperature for logging, e.g. "21.5°C"
+ * @param {number} value - Temperature in Home Assistant's unit
+ * @returns {string} - Temperature with unit, rounded to one decimal
+ */
+function formatTemperature(value) {
+    return `${Math.round(value * 10) / 10}${temperatureUnit}`;
+}
+
+// Entity attribute holding each setpoint a climate device can control (device.twistMode)
+const CLIMATE_SETPOINTS = {
+    temperature: 'temperature',
+    low: 'target_temp_low',
+    high: 'target_temp_high'
+};
+
+// Limits reported by each climate entity (min_temp, max_temp, target_temp_step), by device id
+const climateLimits = new Map();
+
+/**
+ * Remember the limits a climate entity reports, updated on every state read
+ * @param {Object} device - Device configuration
+ * @param {Object} attributes - Entity attributes from Home Assistant
+ */
+function rememberClimateLimits(device, attributes) {
+    climateLimits.set(device.id, {
+        min: attributes.min_temp,
+        max: attributes.max_temp,
+        step: attributes.target_temp_step
+    });
+}
+
+/**
+ * Get the temperature limits for a climate device
+ * The configured tempRange can narrow the entity's own limits, but never widen them
+ * @param {Object} device - Device configuration
+ * @returns {Object} - {min, max, step}
+ */
+function getClimateLimits(device) {
+    const entityLimits = climateLimits.get(device.id) || {};
+    const configured = device.tempRange || {};
+    const defaults = getTemperatureUnitDefaults();
+    const fallback = defaults.range;
+    
+    const mins = [entityLimits.min, configured.min].filter(value => typeof value === 'number');
+    const maxes = [entityLimits.max, configured.max].filter(value => typeof value === 'number');
+    
+    return {
+        min: mins.length > 0 ? Math.max(...mins) : fallback.min,
+        max: maxes.length > 0 ? Math.min(...maxes) : fallback.max,
+        step: entityLimits.step || defaults.step
+    };
+}
+
+/**
+ * Clamp a temperature to a climate device's limits and round it to the entity's step
+ * @param {Object} device - Device configuration
+ * @param {number} temperature - Requested temperature
+ * @returns {number} - Temperature the thermostat accepts
+ */
+function normalizeClimateTemperature(device, temperature) {
+    const limits = getClimateLimits(device);
+    const rounded = Math.round(temperature / limits.step) * limits.step;
+    // Strip floating point noise (e.g. 20.500000000000004)
+    return Math.round(Math.max(limits.min, Math.min(limits.max, rounded)) * 100) / 100;
+}
+
+/**
+ * Get the setpoint a climate device controls
+ * @param {Object} device - Device configuration
+ * @returns {string} - Setpoint name ('temperature', 'low' or 'high')
+ */
+function getClimateSetpoint(device) {
+    return device.twistMode || 'temperature';
+}
+
+/**
+ * Set temperature for a climate device
+ * @param {string} deviceId - Device identifier
+ * @param {number} temperature - Target temperature in Home Assistant's unit
+ * @param {string} setpoint - 'temperature', 'low' or 'high' (defaults to the device's twistMode)
+ * @returns {Promise} - Response promise
+ */
+async function setClimateTemperature(deviceId, temperature, setpoint) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) {
+        throw new Error(`Climate device ${deviceId} not found`);
+    }
+    
+    const setpointName = setpoint || getClimateSetpoint(device);
+    const attribute = CLIMATE_SETPOINTS[setpointName];
+    if (!attribute) {
+        throw new Error(`Unknown setpoint "${setpointName}" for ${device.name}`);
+    }
+    
+    const clampedTemp = normalizeClimateTemperature(device, temperature);
+    const limits = getClimateLimits(device);
+    if (temperature < limits.min || temperature > limits.max) {
+        console.log(`🌡️ ${device.name} is limited to ${formatTemperature(limits.min)}-${formatTemperature(limits.max)} - setting ${formatTemperature(clampedTemp)} instead of ${formatTemperature(temperature)}`);
+    }
+    await ensureServiceSupported(device, 'climate', 'set_temperature');
+    
+    try {
+        const data = { entity_id: getDeviceEntityTarget(device) };
+        if (attribute === 'temperature') {
+            data.temperature = clampedTemp;
+        } else {
+            // Home Assistant needs both ends of the range, so keep the other one as it is
+            const stateData = await getDeviceState(device);
+            const { target_temp_low, target_temp_high } = stateData.attributes;
+            if (typeof target_temp_low !== 'number' || typeof target_temp_high !== 'number') {
+                throw new Error(`${device.name} has no target temperature range to set ${setpointName} ${formatTemperature(clampedTemp)} (is it in heat_cool mode?)`);
+            }
+            
+            // The moved setpoint can't cross the other one
+            data.target_temp_low = attribute === 'target_temp_low' ? Math.min(clampedTemp, target_temp_high) : target_temp_low;
+            data.target_temp_high = attribute === 'target_temp_high' ? Math.max(clampedTemp, target_temp_low) : target_temp_high;
+        }
+        
+        const response = await callHAService('climate', 'set_temperature', data);
+        
+        if (response.success) {
+            // console.log(`✅ ${device.name} temperature set to ${formatTemperature(clampedTemp)}`);
+            // Update virtual device state
+            await getCurrentTemperatureAndUpdate(device);
+            return response;
+        } else {
+            throw new Error(`Failed to set ${device.name} to ${formatTemperature(clampedTemp)}`);
+        }
+    } catch (error) {
+        console.error(`❌ Error setting ${device.name} to ${formatTemperature(clampedTemp)}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Set HVAC mode for a climate device
+ * @param {string} deviceId - Device identifier
+ * @param {string} mode - HVAC mode ('heat', 'cool', 'auto', 'off', etc.)
+ * @returns {Promise} - Response promise
+ */
+async function setClimateMode(deviceId, mode) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) {
+        throw new Error(`Climate device ${deviceId} not found`);
+    }
+    
+    try {
+        const response = await callHAService('climate', 'set_hvac_mode', {
+            entity_id: getDeviceEntityTarget(device),
+            hvac_mode: mode
+        });
         
         if (response.success) {
             // console.log(`✅ ${device.name} HVAC mode set to ${mode}`);
@@ -677,10 +2056,107 @@ async function setClimateMode(deviceId, mode) {
     }
 }
 
+/**
+ * Turn a climate device on with time-of-day profile settings
+ * @param {string} deviceId - Device identifier
+ * @param {Object} settings - { hvacMode (default 'auto'), temperature (number in the HA unit, or "18c"/"65f") }
+ */
+async function applyClimateProfile(deviceId, settings) {
+    await setClimateMode(deviceId, settings.hvacMode || 'auto');
+    
+    if (settings.temperature !== undefined) {
+        const temperature = typeof settings.temperature === 'string' ?
+            parseTemperatureArg(settings.temperature) : settings.temperature;
+        await setClimateTemperature(deviceId, temperature);
+    }
+}
+
+/**
+ * Set preset mode for a climate device
+ * @param {string} deviceId - Device identifier
+ * @param {string} presetMode - Preset mode (one of the entity's preset_modes)
+ * @returns {Promise} - Response promise
+ */
+async function setClimatePresetMode(deviceId, presetMode) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) throw new Error(`Climate device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'climate', 'set_preset_mode',
+        { preset_mode: presetMode }, `preset set to ${presetMode}`);
+}
+
+/**
+ * Set fan mode for a climate device
+ * @param {string} deviceId - Device identifier
+ * @param {string} fanMode - Fan mode (one of the entity's fan_modes)
+ * @returns {Promise} - Response promise
+ */
+async function setClimateFanMode(deviceId, fanMode) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) throw new Error(`Climate device ${deviceId} not found`);
+    
+    return executeDeviceAction(device, 'climate', 'set_fan_mode',
+        { fan_mode: fanMode }, `fan mode set to ${fanMode}`);
+}
+
 // ============================================================================
 // BLIND CONTROL FUNCTIONS
 // ============================================================================
 
+// Movement tracking timers per blind device id
+const coverTrackers = new Map();
+
+/**
+ * Follow a cover while it's opening or closing, so the Twist ends on the final position
+ * Polls the state until the cover settles; with a connected WebSocket the pushed
+ * state changes already keep the Twist up to date, so nothing is polled
+ * @param {Object} device - Device configuration
+ */
+function trackCoverMovement(device) {
+    stopCoverTracking(device.id);
+    if (isWebSocketConnected()) return;
+    
+    const { pollInterval, maxDuration } = HA_CONFIG.coverTracking;
+    const startTime = Date.now();
+    
+    const poll = async () => {
+        try {
+            const stateData = await getDeviceState(device);
+            // Keep following the cover, but don't move the Twist while the user is still turning it
+            if (!hasPendingUpdate(device.id)) {
+                updateBlindPositionFromState(device, stateData);
+            }
+            
+            // The first poll may come before Home Assistant reports the movement
+            const moving = stateData.state === 'opening' || stateData.state === 'closing';
+            const firstPoll = Date.now() - startTime < pollInterval * 2;
+            if ((!moving && !firstPoll) || Date.now() - startTime >= maxDuration) {
+                coverTrackers.delete(device.id);
+                return;
+            }
+        } catch (error) {
+            console.error(`❌ Error tracking movement of ${device.name}:`, error);
+            coverTrackers.delete(device.id);
+            return;
+        }
+        
+        coverTrackers.set(device.id, setTimeout(poll, pollInterval));
+    };
+    
+    coverTrackers.set(device.id, setTimeout(poll, pollInterval));
+}
+
+/**
+ * Stop following a cover's movement
+ * @param {string} deviceId - Device identifier
+ */
+function stopCoverTracking(deviceId) {
+    if (coverTrackers.has(deviceId)) {
+        clearTimeout(coverTrackers.get(deviceId));
+        coverTrackers.delete(deviceId);
+    }
+}
+
 /**
  * Set position for a blind/cover device
  * @param {string} deviceId - Device identifier
@@ -688,23 +2164,28 @@ async function setClimateMode(deviceId, mode) {
  * @returns {Promise} - Response promise
  */
 async function setBlindPosition(deviceId, position) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
         throw new Error(`Blind device ${deviceId} not found`);
     }
     
     // Clamp position to valid range
     const clampedPosition = Math.max(0, Math.min(100, Math.round(position)));
+    await ensureServiceSupported(device, 'cover', 'set_cover_position');
+    
     try {
         const response = await callHAService('cover', 'set_cover_position', {
-            entity_id: device.entityId,
+            entity_id: getDeviceEntityTarget(device),
             position: clampedPosition
         });
         
         if (response.success) {
             // console.log(`✅ ${device.name} position set to ${clampedPosition}%`);
-            // Update virtual device state
-            await getCurrentBlindPositionAndUpdate(device);
+            // Update virtual device state (unless the Twist is still turning) and follow the movement until the cover settles
+            if (!hasPendingUpdate(device.id)) {
+                await getCurrentBlindPositionAndUpdate(device);
+            }
+            trackCoverMovement(device);
             return response;
         } else {
             throw new Error(`Failed to set position for ${device.name}`);
@@ -721,20 +2202,22 @@ async function setBlindPosition(deviceId, position) {
  * @returns {Promise} - Response promise
  */
 async function setBlindOpen(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
         throw new Error(`Blind device ${deviceId} not found`);
     }
     
+    await ensureServiceSupported(device, 'cover', 'open_cover');
+    
     try {
         const response = await callHAService('cover', 'open_cover', {
-            entity_id: device.entityId
+            entity_id: getDeviceEntityTarget(device)
         });
         
         if (response.success) {
             // console.log(`✅ ${device.name} opened`);
-            // Update virtual device state
-            setTimeout(() => getCurrentBlindPositionAndUpdate(device), 1000); // Delay to allow movement
+            // Follow the movement until the cover settles
+            trackCoverMovement(device);
             return response;
         } else {
             throw new Error(`Failed to open ${device.name}`);
@@ -751,20 +2234,22 @@ async function setBlindOpen(deviceId) {
  * @returns {Promise} - Response promise
  */
 async function setBlindClose(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
         throw new Error(`Blind device ${deviceId} not found`);
     }
     
+    await ensureServiceSupported(device, 'cover', 'close_cover');
+    
     try {
         const response = await callHAService('cover', 'close_cover', {
-            entity_id: device.entityId
+            entity_id: getDeviceEntityTarget(device)
         });
         
         if (response.success) {
             // console.log(`✅ ${device.name} closed`);
-            // Update virtual device state
-            setTimeout(() => getCurrentBlindPositionAndUpdate(device), 1000); // Delay to allow movement
+            // Follow the movement until the cover settles
+            trackCoverMovement(device);
             return response;
         } else {
             throw new Error(`Failed to close ${device.name}`);
@@ -781,18 +2266,23 @@ async function setBlindClose(deviceId) {
  * @returns {Promise} - Response promise
  */
 async function setBlindStop(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
         throw new Error(`Blind device ${deviceId} not found`);
     }
     
+    await ensureServiceSupported(device, 'cover', 'stop_cover');
+    
     try {
         const response = await callHAService('cover', 'stop_cover', {
-            entity_id: device.entityId
+            entity_id: getDeviceEntityTarget(device)
         });
         
         if (response.success) {
             // console.log(`✅ ${device.name} stopped`);
+            // Show where it stopped
+            stopCoverTracking(device.id);
+            await getCurrentBlindPositionAndUpdate(device);
             return response;
         } else {
             throw new Error(`Failed to stop ${device.name}`);
@@ -803,6 +2293,36 @@ async function setBlindStop(deviceId) {
     }
 }
 
+/**
+ * Set tilt position for a blind/cover device
+ * @param {string} deviceId - Device identifier
+ * @param {number} tilt - Tilt percentage (0-100, 0=closed, 100=open)
+ * @returns {Promise} - Response promise
+ */
+async function setBlindTiltPosition(deviceId, tilt) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) throw new Error(`Blind device ${deviceId} not found`);
+    
+    const clampedTilt = Math.max(0, Math.min(100, Math.round(tilt)));
+    return executeDeviceAction(device, 'cover', 'set_cover_tilt_position',
+        { tilt_position: clampedTilt }, '', () => getCurrentBlindPositionAndUpdate(device));
+}
+
+/**
+ * Open, close or stop the tilt of a blind/cover device
+ * @param {string} deviceId - Device identifier
+ * @param {string} command - 'open', 'close' or 'stop'
+ * @returns {Promise} - Response promise
+ */
+async function setBlindTilt(deviceId, command) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) throw new Error(`Blind device ${deviceId} not found`);
+    
+    const pastTense = { open: 'opened', close: 'closed', stop: 'stopped' }[command];
+    return executeDeviceAction(device, 'cover', `${command}_cover_tilt`, {},
+        `tilt ${pastTense}`, () => getCurrentBlindPositionAndUpdate(device));
+}
+
 /**
  * Get current playback state of a media device
  * @param {string} deviceId - Device identifier
@@ -815,7 +2335,7 @@ async function getMediaPlaybackState(deviceId) {
     }
     
     try {
-        const stateData = await getEntityState(device.entityId);
+        const stateData = await getDeviceState(device);
         return stateData.state;
     } catch (error) {
         console.error(`❌ Error getting playback state for ${device.name}:`, error);
@@ -824,1086 +2344,4179 @@ async function getMediaPlaybackState(deviceId) {
 }
 
 // ============================================================================
-// FLIC APP MODULE INTEGRATION
+// FAN AND SWITCH CONTROL FUNCTIONS
 // ============================================================================
 
-// Track last playback command timestamp for cooldown
-let lastPlaybackCommandTime = 0;
-const PLAYBACK_COOLDOWN_MS = 2500; // 2.5 seconds
-
-// Action mapping for simplified command handling (defined after handlers)
-let ACTION_HANDLERS;
-
-// Handle action messages from Flic app
-flicApp.on('actionMessage', async (message) => {
-    console.log('Received action message:', message);
+/**
+ * Set speed percentage for a fan device
+ * @param {string} deviceId - Device identifier
+ * @param {number} percentage - Speed percentage (0-100, 0 turns the fan off)
+ * @returns {Promise} - Response promise
+ */
+async function setFanPercentage(deviceId, percentage) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) throw new Error(`Fan device ${deviceId} not found`);
     
-    // Parse device-specific commands: "{device-id} {action}"
-    const parts = message.toLowerCase().split(' ');
-    if (parts.length >= 2) {
-        const deviceId = parts[0];
-        const action = parts.slice(1).join(' ');
-        
-        // Find the device by device ID
-        const device = findDevice(deviceId);
-        if (!device) {
-            console.log(`Unknown device: ${deviceId}`);
-            return;
-        }
-        
-        try {
-            // Use action mapping for simplified handling
-            const handler = ACTION_HANDLERS[action];
-            if (handler) {
-                await handler(deviceId);
-            } else {
-                console.log(`Unknown action for device ${deviceId}: ${action}`);
-            }
-        } catch (error) {
-            console.error(`❌ Error executing action "${action}" for device ${deviceId}:`, error);
-        }
-    } else {
-        console.log('Invalid action message format. Expected: "{device-id} {action}"');
+    const clampedPercentage = Math.max(0, Math.min(100, Math.round(percentage)));
+    if (clampedPercentage === 0) {
+        return setFanPower(deviceId, false);
     }
-});
+    
+    return executeDeviceAction(device, 'fan', 'set_percentage',
+        { percentage: clampedPercentage }, `speed set to ${clampedPercentage}%`,
+        () => getCurrentFanSpeedAndUpdate(device));
+}
 
-// Handle virtual device updates from Flic Twist controllers
-flicApp.on('virtualDeviceUpdate', async (metaData, values) => {
-    const device = findDevice(metaData.virtualDeviceId);
-    if (!device) {
-        console.error(`❌ Device not found: ${metaData.virtualDeviceId}`);
-        return;
-    }
+/**
+ * Set power state for a fan device
+ */
+async function setFanPower(deviceId, powerOn) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) throw new Error(`Fan device ${deviceId} not found`);
     
-    try {
-        if (metaData.dimmableType === 'Speaker') {
-            // Handle media devices (Speaker virtual devices)
-            if (device.type === 'playback') {
-                await handlePlaybackDeviceUpdate(metaData.virtualDeviceId, values);
-            } else if (device.type === 'media_player') {
-                await handleMediaDeviceUpdate(metaData.virtualDeviceId, values);
-            }
-        } else if (metaData.dimmableType === 'Light') {
-            // Handle light devices (Light virtual devices)
-            if (device.type === 'light' || device.type === 'color_light') {
-                await handleLightDeviceUpdate(metaData.virtualDeviceId, values);
-            }
-        } else if (metaData.dimmableType === 'Blind') {
-            // Handle climate and blind devices (both use Blind virtual devices with position)
-            if (device.type === 'climate') {
-                await handleClimateDeviceUpdate(metaData.virtualDeviceId, values);
-            } else if (device.type === 'blind') {
-                await handleBlindDeviceUpdate(metaData.virtualDeviceId, values);
-            }
-        }
-    } catch (error) {
-        console.error(`❌ Error handling virtual device update for ${device.name}:`, error);
-    }
-});
+    const service = powerOn ? 'turn_on' : 'turn_off';
+    return executeDeviceAction(device, 'fan', service, {},
+        `turned ${powerOn ? 'on' : 'off'}`, () => getCurrentFanSpeedAndUpdate(device));
+}
 
-// ============================================================================
-// ACTION HANDLERS
-// ============================================================================
+/**
+ * Turn a fan on with time-of-day profile settings
+ * @param {string} deviceId - Device identifier
+ * @param {Object} settings - { percentage (1-100) }, optional
+ * @returns {Promise} - Response promise
+ */
+async function applyFanProfile(deviceId, settings) {
+    if (settings.percentage !== undefined) {
+        return setFanPercentage(deviceId, Math.max(1, settings.percentage));
+    }
+    return setFanPower(deviceId, true);
+}
 
 /**
- * Generic volume adjustment with cooldown protection
+ * Set preset mode for a fan device
+ * @param {string} deviceId - Device identifier
+ * @param {string} presetMode - Preset mode from the entity's preset_modes
+ * @returns {Promise} - Response promise
  */
-async function adjustDeviceVolume(deviceId, delta) {
-    // Check cooldown
-    const currentTime = Date.now();
-    const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
+async function setFanPresetMode(deviceId, presetMode) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) throw new Error(`Fan device ${deviceId} not found`);
     
-    if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-        const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-        // console.log(`⏳ Volume ${delta > 0 ? 'up' : 'down'} ignored - cooldown active (${remainingCooldown}s remaining)`);
-        return;
-    }
-    
-    const device = findDevice(deviceId);
-    if (!device) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
-    }
+    return executeDeviceAction(device, 'fan', 'set_preset_mode',
+        { preset_mode: presetMode }, `preset set to ${presetMode}`,
+        () => getCurrentFanSpeedAndUpdate(device));
+}
+
+/**
+ * Set oscillation for a fan device
+ */
+async function setFanOscillation(deviceId, oscillating) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) throw new Error(`Fan device ${deviceId} not found`);
     
-    try {
-        const stateData = await getEntityState(device.entityId);
-        const currentVolume = stateData.attributes.volume_level * 100;
-        const newVolume = Math.max(0, Math.min(100, currentVolume + delta));
-        
-        await setMediaVolume(deviceId, newVolume);
-    } catch (error) {
-        console.error(`❌ Error adjusting volume for ${device.name}:`, error);
-    }
+    return executeDeviceAction(device, 'fan', 'oscillate',
+        { oscillating }, `oscillation ${oscillating ? 'on' : 'off'}`);
 }
 
 /**
- * Handle mute toggle for specific device
+ * Set power state for a switch, input_boolean or plug device
  */
-async function handleDeviceMuteToggle(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
-    }
+async function setSwitchPower(deviceId, powerOn) {
+    const device = findDeviceOfFamily(deviceId, 'switch');
+    if (!device) throw new Error(`Switch device ${deviceId} not found`);
     
-    try {
-        // Get current mute status
-        const stateData = await getEntityState(device.entityId);
-        const isCurrentlyMuted = stateData.attributes.is_volume_muted;
-        
-        // Toggle mute status
-        const newMuteState = !isCurrentlyMuted;
-        await setMediaMute(deviceId, newMuteState);
-        
-        // console.log(`✅ ${device.name} ${newMuteState ? 'muted' : 'unmuted'}`);
-    } catch (error) {
-        console.error(`❌ Error toggling mute for ${device.name}:`, error);
-    }
+    // input_boolean entities have their own domain, switches and plugs use switch
+    const service = powerOn ? 'turn_on' : 'turn_off';
+    return executeDeviceAction(device, getDeviceType(device).domain, service, {},
+        `turned ${powerOn ? 'on' : 'off'}`, () => getCurrentSwitchStateAndUpdate(device));
 }
 
+// ============================================================================
+// SCENE, SCRIPT AND AUTOMATION FUNCTIONS
+// ============================================================================
+
 /**
- * Handle power toggle for specific device (works with all device types)
+ * Activate a scene
+ * @param {string} deviceId - Device identifier
+ * @returns {Promise} - Response promise
  */
-async function handleDevicePowerToggle(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
-    }
+async function activateScene(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'scene');
+    if (!device) throw new Error(`Scene ${deviceId} not found`);
     
-    try {
-        // Get current power status
-        const stateData = await getEntityState(device.entityId);
-        const isCurrentlyOn = stateData.state === 'on';
-        
-        // Toggle power status based on device type
-        const newPowerState = !isCurrentlyOn;
-        
-        if (device.type === 'media_player') {
-            await setMediaPower(deviceId, newPowerState);
-        } else if (device.type === 'light' || device.type === 'color_light') {
-            await setLightPower(deviceId, newPowerState);
-        } else if (device.type === 'climate') {
-            // For climate devices, use HVAC mode instead of power
-            await setClimateMode(deviceId, newPowerState ? 'auto' : 'off');
-        } else if (device.type === 'blind') {
-            // For blind devices, open/close instead of power
-            if (newPowerState) {
-                await setBlindOpen(deviceId);
-            } else {
-                await setBlindClose(deviceId);
-            }
-        }
-        
-        // console.log(`✅ ${device.name} turned ${newPowerState ? 'on' : 'off'}`);
-    } catch (error) {
-        console.error(`❌ Error toggling power for ${device.name}:`, error);
-    }
+    return executeDeviceAction(device, 'scene', 'turn_on', {}, 'activated');
 }
 
 /**
- * Handle power on for specific device (works with all device types)
+ * Run a script, optionally with variables (merged over the device's configured variables)
+ * @param {string} deviceId - Device identifier
+ * @param {Object} variables - Script variables
+ * @returns {Promise} - Response promise
  */
-async function handleDevicePowerOn(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
-    }
+async function runScript(deviceId, variables = {}) {
+    const device = findDeviceOfFamily(deviceId, 'script');
+    if (!device) throw new Error(`Script ${deviceId} not found`);
     
-    try {
-        if (device.type === 'media_player') {
-            await setMediaPower(deviceId, true);
-        } else if (device.type === 'light' || device.type === 'color_light') {
-            await setLightPower(deviceId, true);
-        } else if (device.type === 'climate') {
-            await setClimateMode(deviceId, 'auto');
-        } else if (device.type === 'blind') {
-            await setBlindOpen(deviceId);
-        }
-        // console.log(`✅ ${device.name} turned on`);
-    } catch (error) {
-        console.error(`❌ Error turning on ${device.name}:`, error);
-    }
+    const allVariables = { ...(device.variables || {}), ...variables };
+    const data = Object.keys(allVariables).length > 0 ? { variables: allVariables } : {};
+    return executeDeviceAction(device, 'script', 'turn_on', data, 'started');
 }
 
 /**
- * Handle power off for specific device (works with all device types)
+ * Trigger an automation (runs its actions, its conditions still apply)
+ * @param {string} deviceId - Device identifier
+ * @returns {Promise} - Response promise
  */
-async function handleDevicePowerOff(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device) {
-        console.error(`Device not found: ${deviceId}`);
-        return;
-    }
+async function triggerAutomation(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'automation');
+    if (!device) throw new Error(`Automation ${deviceId} not found`);
     
-    try {
-        if (device.type === 'media_player') {
-            await setMediaPower(deviceId, false);
-        } else if (device.type === 'light' || device.type === 'color_light') {
-            await setLightPower(deviceId, false);
-        } else if (device.type === 'climate') {
-            await setClimateMode(deviceId, 'off');
-        } else if (device.type === 'blind') {
-            await setBlindClose(deviceId);
-        }
-        // console.log(`✅ ${device.name} turned off`);
-    } catch (error) {
-        console.error(`❌ Error turning off ${device.name}:`, error);
-    }
+    return executeDeviceAction(device, 'automation', 'trigger', {}, 'triggered');
 }
 
 // ============================================================================
-// LIGHT ACTION HANDLERS
+// COMMAND COOLDOWNS
 // ============================================================================
 
+// Cooldown end times (ms) per "{entityId}|{commandClass}"
+const cooldownEnds = new Map();
+
 /**
- * Handle brightness up for light devices
+ * Get the cooldown windows a command starts, with the device's overrides applied
+ * @param {Object} device - Device configuration
+ * @param {string} commandClass - Command class that was just sent ('playback', 'volume')
+ * @returns {Object} - Window (ms) per blocked command class
  */
-async function handleDeviceBrightnessUp(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || (device.type !== 'light' && device.type !== 'color_light')) {
-        console.error(`Light device not found: ${deviceId}`);
-        return;
-    }
+function getCooldownWindows(device, commandClass) {
+    const overrides = (device.cooldowns && device.cooldowns[commandClass]) || {};
+    return { ...(HA_CONFIG.cooldowns[commandClass] || {}), ...overrides };
+}
+
+/**
+ * Start the cooldowns that follow a command, for every entity the device controls
+ * @param {Object} device - Device configuration
+ * @param {string} commandClass - Command class that was just sent
+ */
+function startCooldown(device, commandClass) {
+    const now = Date.now();
+    const windows = getCooldownWindows(device, commandClass);
     
-    try {
-        // Get current brightness
-        const currentBrightness = await getCurrentBrightnessAndUpdate(device);
-        const newBrightness = Math.min(255, (currentBrightness || 0) + 25); // Increase by ~10%
-        
-        await setLightBrightness(deviceId, newBrightness);
-    } catch (error) {
-        console.error(`❌ Error increasing brightness for ${device.name}:`, error);
-    }
+    getDeviceEntityIds(device).forEach(entityId => {
+        Object.entries(windows).forEach(([blockedClass, window]) => {
+            const key = `${entityId}|${blockedClass}`;
+            // A shorter window never cuts a running cooldown short
+            cooldownEnds.set(key, Math.max(cooldownEnds.get(key) || 0, now + window));
+        });
+    });
 }
 
 /**
- * Handle brightness down for light devices
+ * Get the remaining cooldown for a command class on a device
+ * Devices sharing an entity (e.g. a TV and its playback controller) share cooldowns
+ * @param {Object} device - Device configuration
+ * @param {string} commandClass - Command class about to be sent
+ * @returns {number} - Remaining cooldown (ms), 0 if the command may be sent
  */
-async function handleDeviceBrightnessDown(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || (device.type !== 'light' && device.type !== 'color_light')) {
-        console.error(`Light device not found: ${deviceId}`);
-        return;
-    }
+function getRemainingCooldown(device, commandClass) {
+    const now = Date.now();
+    let remaining = 0;
     
-    try {
-        // Get current brightness
-        const currentBrightness = await getCurrentBrightnessAndUpdate(device);
-        const newBrightness = Math.max(0, (currentBrightness || 0) - 25); // Decrease by ~10%
+    getDeviceEntityIds(device).forEach(entityId => {
+        const key = `${entityId}|${commandClass}`;
+        const end = cooldownEnds.get(key);
+        if (end === undefined) return;
         
-        if (newBrightness === 0) {
-            await setLightPower(deviceId, false);
+        if (end <= now) {
+            cooldownEnds.delete(key);
         } else {
-            await setLightBrightness(deviceId, newBrightness);
+            remaining = Math.max(remaining, end - now);
         }
-    } catch (error) {
-        console.error(`❌ Error decreasing brightness for ${device.name}:`, error);
-    }
+    });
+    
+    return remaining;
+}
+
+// ============================================================================
+// TIME WINDOWS
+// ============================================================================
+
+// Today's sunrise and sunset (minutes after midnight, hub clock), read from the sun entity
+let sunTimes = null;
+
+/**
+ * Parse a time of day into minutes after midnight
+ * @param {string} time - Time as "HH:MM" (24-hour)
+ * @returns {number|null} - Minutes after midnight, null if the time isn't valid
+ */
+function parseTimeOfDay(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
 }
 
 /**
- * Handle set bright for light devices (100% brightness)
+ * Resolve a window boundary into minutes after midnight
+ * @param {string} time - "HH:MM", "sunrise" or "sunset", optionally with an offset in minutes ("sunset-30")
+ * @returns {number|null} - Minutes after midnight, null if the time isn't valid or the sun times aren't known
  */
-async function handleDeviceSetBright(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || (device.type !== 'light' && device.type !== 'color_light')) {
-        console.error(`Light device not found: ${deviceId}`);
-        return;
+function resolveTimeOfDay(time) {
+    const match = /^(sunrise|sunset)\s*(?:([+-])\s*(\d+))?$/.exec(String(time).trim().toLowerCase());
+    if (!match) {
+        return parseTimeOfDay(time);
     }
     
-    try {
-        await setLightBrightness(deviceId, 255); // 100% brightness
-    } catch (error) {
-        console.error(`❌ Error setting bright for ${device.name}:`, error);
-    }
+    if (!sunTimes) return null;
+    const offset = match[3] ? Number(match[3]) * (match[2] === '-' ? -1 : 1) : 0;
+    return (sunTimes[match[1]] + offset + 1440) % 1440;
 }
 
 /**
- * Handle set dim for light devices (20% brightness)
+ * Check whether a time falls inside a daily window, using the hub's clock
+ * Windows may wrap past midnight (e.g. 22:00 to 07:00).
+ *
+ * @param {Object} window - Window as { start, end }, each "HH:MM", "sunrise" or "sunset" (see resolveTimeOfDay)
+ * @param {Date} date - Time to check (defaults to now)
+ * @returns {boolean} - True if the time is inside the window
  */
-async function handleDeviceSetDim(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || (device.type !== 'light' && device.type !== 'color_light')) {
-        console.error(`Light device not found: ${deviceId}`);
-        return;
+function isInTimeWindow(window, date = new Date()) {
+    const start = resolveTimeOfDay(window.start);
+    const end = resolveTimeOfDay(window.end);
+    if (start === null || end === null) {
+        console.error(`❌ Invalid time window ${window.start}-${window.end} - use "HH:MM", or "sunrise"/"sunset" (read from sun.sun)`);
+        return false;
     }
     
-    try {
-        await setLightBrightness(deviceId, 51); // ~20% brightness
-    } catch (error) {
-        console.error(`❌ Error setting dim for ${device.name}:`, error);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (start <= end) {
+        return minutes >= start && minutes < end;
     }
+    return minutes >= start || minutes < end;
 }
 
-// ============================================================================
-// CLIMATE ACTION HANDLERS
-// ============================================================================
+/**
+ * Check whether a window boundary depends on the sun
+ * @param {string} time - Window boundary
+ * @returns {boolean} - True for "sunrise"/"sunset" boundaries
+ */
+function isSunTime(time) {
+    return /^\s*sun(rise|set)/i.test(String(time));
+}
 
 /**
- * Handle temperature up for climate devices
+ * Read sunrise and sunset from the sun entity
+ * The next rising/setting is at most a day away, so its time of day is close enough for today.
  */
-async function handleDeviceTemperatureUp(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'climate') {
-        console.error(`Climate device not found: ${deviceId}`);
-        return;
-    }
-    
+async function refreshSunTimes() {
     try {
-        // Get current temperature
-        const currentTemp = await getCurrentTemperatureAndUpdate(device);
-        const newTemp = (currentTemp || 20) + 1; // Increase by 1°C
+        const stateData = await getEntityState(HA_CONFIG.sun.entityId);
+        const rising = new Date(stateData.attributes.next_rising);
+        const setting = new Date(stateData.attributes.next_setting);
+        if (isNaN(rising.getTime()) || isNaN(setting.getTime())) {
+            throw new Error('next_rising/next_setting missing');
+        }
         
-        await setClimateTemperature(deviceId, newTemp);
+        sunTimes = {
+            sunrise: rising.getHours() * 60 + rising.getMinutes(),
+            sunset: setting.getHours() * 60 + setting.getMinutes()
+        };
+        console.log(`🌅 Sunrise ${formatTimeOfDay(sunTimes.sunrise)}, sunset ${formatTimeOfDay(sunTimes.sunset)}`);
     } catch (error) {
-        console.error(`❌ Error increasing temperature for ${device.name}:`, error);
+        console.error('❌ Error reading sunrise/sunset:', error);
     }
 }
 
 /**
- * Handle temperature down for climate devices
+ * Keep sunrise and sunset up to date if any time window (profiles, quiet hours) follows the sun
  */
-async function handleDeviceTemperatureDown(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'climate') {
-        console.error(`Climate device not found: ${deviceId}`);
+async function startSunTimeUpdates() {
+    const windows = [...Object.values(HA_CONFIG.timeProfiles), HA_CONFIG.quietHours];
+    Object.values(HA_CONFIG.devices).forEach(category => {
+        category.forEach(device => windows.push(device.quietHours));
+    });
+    
+    if (!windows.some(window => window && (isSunTime(window.start) || isSunTime(window.end)))) {
         return;
     }
     
-    try {
-        // Get current temperature
-        const currentTemp = await getCurrentTemperatureAndUpdate(device);
-        const newTemp = (currentTemp || 20) - 1; // Decrease by 1°C
-        
-        await setClimateTemperature(deviceId, newTemp);
-    } catch (error) {
-        console.error(`❌ Error decreasing temperature for ${device.name}:`, error);
-    }
+    await refreshSunTimes();
+    setInterval(refreshSunTimes, HA_CONFIG.sun.refreshInterval);
 }
 
 /**
- * Handle HVAC mode setting for climate devices
+ * Format minutes after midnight as "HH:MM"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - Time of day
  */
-async function handleDeviceSetMode(deviceId, mode) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'climate') {
-        console.error(`Climate device not found: ${deviceId}`);
-        return;
-    }
-    
-    try {
-        await setClimateMode(deviceId, mode);
-    } catch (error) {
-        console.error(`❌ Error setting mode for ${device.name}:`, error);
-    }
+function formatTimeOfDay(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
 }
 
 // ============================================================================
-// BLIND ACTION HANDLERS
+// TIME-OF-DAY PROFILES
 // ============================================================================
 
 /**
- * Handle open for blind devices
+ * Get the settings a time-of-day profile gives an action on a device right now
+ * Profiles are checked in the order they're configured; the first one whose window contains
+ * the current time and has settings for the device (by id, type or family) wins.
+ *
+ * @param {Object} device - Device configuration
+ * @param {string} action - Profile action ('on', 'bright', 'dim')
+ * @returns {Object|null} - Settings (e.g. { brightness: 10, kelvin: 2200 }), null to keep the normal behavior
  */
-async function handleDeviceBlindOpen(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
-        console.error(`Blind device not found: ${deviceId}`);
-        return;
-    }
+function getTimeProfileSettings(device, action) {
+    if (device.timeProfiles === false) return null;
     
-    try {
-        await setBlindOpen(deviceId);
-    } catch (error) {
-        console.error(`❌ Error opening ${device.name}:`, error);
-    }
-}
-
-/**
- * Handle close for blind devices
- */
-async function handleDeviceBlindClose(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
-        console.error(`Blind device not found: ${deviceId}`);
-        return;
+    const profiles = Object.entries(HA_CONFIG.timeProfiles);
+    const deviceType = getDeviceType(device);
+    for (const [name, profile] of profiles) {
+        const types = profile.types || {};
+        const devices = profile.devices || {};
+        const settings = [
+            deviceType && types[deviceType.family],
+            types[device.type],
+            devices[device.id]
+        ].filter(entry => entry && entry[action]).map(entry => entry[action]);
+        
+        if (settings.length > 0 && isInTimeWindow(profile)) {
+            //console.log(`🕒 ${device.name} "${action}" uses the ${name} profile`);
+            // Device settings win over type settings, which win over family settings
+            return Object.assign({}, ...settings);
+        }
     }
     
-    try {
-        await setBlindClose(deviceId);
-    } catch (error) {
-        console.error(`❌ Error closing ${device.name}:`, error);
-    }
+    return null;
 }
 
+// ============================================================================
+// VOLUME LIMITS
+// ============================================================================
+
 /**
- * Handle stop for blind devices
+ * Get the volume cap from one device's own configuration
+ * @param {Object} device - Device configuration
+ * @returns {number} - Highest allowed volume (0-100)
  */
-async function handleDeviceBlindStop(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
-        console.error(`Blind device not found: ${deviceId}`);
-        return;
+function getConfiguredVolumeCap(device) {
+    let cap = 100;
+    if (device.maxVolume !== undefined) {
+        if (isValidVolumeCap(device.maxVolume)) {
+            cap = device.maxVolume;
+        } else {
+            console.error(`❌ Invalid maxVolume ${device.maxVolume} for ${device.name} - use a number from 0 to 100`);
+        }
     }
     
-    try {
-        await setBlindStop(deviceId);
-    } catch (error) {
-        console.error(`❌ Error stopping ${device.name}:`, error);
+    const quietHours = device.quietHours !== undefined ? device.quietHours : HA_CONFIG.quietHours;
+    if (quietHours && isInTimeWindow(quietHours)) {
+        if (isValidVolumeCap(quietHours.maxVolume)) {
+            cap = Math.min(cap, quietHours.maxVolume);
+        } else {
+            console.error(`❌ Invalid quiet hours maxVolume ${quietHours.maxVolume} for ${device.name} - use a number from 0 to 100`);
+        }
     }
+    
+    return cap;
 }
 
 /**
- * Handle position up for blind devices (increase by 10%)
+ * Check a configured volume cap
+ * @param {*} value - maxVolume from the configuration
+ * @returns {boolean} - True for a number from 0 to 100
  */
-async function handleDeviceBlindUp(deviceId) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
-        console.error(`Blind device not found: ${deviceId}`);
-        return;
-    }
-    
-    try {
-        // Get current position
-        const currentPosition = await getCurrentBlindPositionAndUpdate(device);
-        const newPosition = Math.min(100, (currentPosition || 0) + 10); // Increase by 10%
-        
-        await setBlindPosition(deviceId, newPosition);
-    } catch (error) {
-        console.error(`❌ Error moving up ${device.name}:`, error);
-    }
+function isValidVolumeCap(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100;
 }
 
 /**
- * Handle position down for blind devices (decrease by 10%)
+ * Get the volume cap for a device right now (its maxVolume, lowered during quiet hours)
+ * Caps follow the entity, so a group or playback device can't raise a capped speaker.
+ *
+ * @param {Object} device - Device configuration
+ * @returns {number} - Highest allowed volume (0-100)
  */
-async function handleDeviceBlindDown(deviceId) {
+function getVolumeCap(device) {
+    const entityIds = getDeviceEntityIds(device);
+    let cap = getConfiguredVolumeCap(device);
+    
+    Object.values(HA_CONFIG.devices).forEach(category => {
+        category.forEach(other => {
+            if (other !== device && getDeviceEntityIds(other).some(entityId => entityIds.includes(entityId))) {
+                cap = Math.min(cap, getConfiguredVolumeCap(other));
+            }
+        });
+    });
+    
+    return cap;
+}
+
+// ============================================================================
+// TWIST AND REPEAT ACCELERATION
+// ============================================================================
+
+// Ongoing Twist turns per "{deviceId}_{updateType}": { shown, output, time }
+const twistMotions = new Map();
+
+// Last "up/down" message per "{deviceId}|{action}": time (ms)
+const lastRepeatTimes = new Map();
+
+/**
+ * Get the acceleration curve for a device, with the device's overrides applied
+ * @param {Object} device - Device configuration
+ * @param {string} kind - 'twist' or 'repeat'
+ * @returns {Object|null} - Curve ({ minGain, maxGain, fullSpeed, exponent }), null for a fixed mapping
+ */
+function getAccelerationCurve(device, kind) {
+    if (device.acceleration === false) return null;
+    
+    const deviceType = getDeviceType(device);
+    const familyCurves = (deviceType && HA_CONFIG.acceleration.curves[deviceType.family]) || {};
+    const overrides = (device.acceleration && device.acceleration[kind]) || {};
+    
+    const curve = { ...(familyCurves[kind] || {}), ...overrides };
+    return curve.fullSpeed ? curve : null;
+}
+
+/**
+ * Get the gain for a speed: minGain when slow, rising to maxGain at fullSpeed
+ * @param {Object} curve - Acceleration curve
+ * @param {number} speed - Movement speed, in the curve's fullSpeed units
+ * @returns {number} - Multiplier for the step
+ */
+function getAccelerationGain(curve, speed) {
+    const minGain = curve.minGain !== undefined ? curve.minGain : 1;
+    const maxGain = curve.maxGain !== undefined ? curve.maxGain : 1;
+    const exponent = curve.exponent !== undefined ? curve.exponent : 1;
+    
+    const ratio = Math.min(1, speed / curve.fullSpeed);
+    return minGain + (maxGain - minGain) * Math.pow(ratio, exponent);
+}
+
+/**
+ * Map a Twist value through the device's acceleration curve
+ * Each change since the value last shown on the Twist is scaled by the turning speed
+ * (range per second), so slow turns make fine changes and fast turns sweep the range.
+ * The first change of a turn and the ends of the range pass through unchanged.
+ *
+ * @param {Object} device - Device configuration
+ * @param {string} updateType - Type of update ('volume', 'brightness', 'temperature', ...)
+ * @param {number} value - Value reported by the Twist (0-1)
+ * @param {number} steps - Number of steps the device has across the range (e.g. 100 for percentages)
+ * @param {number} max - Highest value allowed (e.g. a volume cap), defaults to the full range
+ * @returns {number} - Value to apply and show on the Twist (0-max, a multiple of 1/steps)
+ */
+function accelerateTwistValue(device, updateType, value, steps, max = 1) {
+    const key = `${device.id}_${updateType}`;
+    const now = Date.now();
+    const curve = getAccelerationCurve(device, 'twist');
+    const motion = twistMotions.get(key);
+    
+    let output = value;
+    if (curve && motion && now - motion.time < HA_CONFIG.acceleration.gestureTimeout && value > 0 && value < 1) {
+        const delta = value - motion.shown;
+        const speed = Math.abs(delta) / Math.max(now - motion.time, 10) * 1000;
+        
+        // Keep the unrounded output, so slow turns add up even when a single change is below one step
+        output = Math.max(0, Math.min(1, motion.output + delta * getAccelerationGain(curve, speed)));
+    }
+    
+    output = Math.min(output, max);
+    const shown = Math.round(output * steps) / steps;
+    twistMotions.set(key, { shown, output, time: now });
+    return shown;
+}
+
+/**
+ * Get the step multiplier for a repeated "up/down" message
+ * A single message uses the normal step; quickly repeated ones take bigger steps.
+ *
+ * @param {Object} device - Device configuration
+ * @param {string} action - Action being repeated (e.g. 'volume up')
+ * @returns {number} - Multiplier for the action's step
+ */
+function getRepeatGain(device, action) {
+    const key = `${device.id}|${action}`;
+    const now = Date.now();
+    const lastTime = lastRepeatTimes.get(key);
+    lastRepeatTimes.set(key, now);
+    
+    const curve = getAccelerationCurve(device, 'repeat');
+    if (!curve) return 1;
+    
+    // Messages per second, 0 for the first message of a series
+    const interval = lastTime === undefined ? Infinity : now - lastTime;
+    const speed = interval < HA_CONFIG.acceleration.gestureTimeout ? 1000 / Math.max(interval, 10) : 0;
+    
+    return getAccelerationGain(curve, speed);
+}
+
+// ============================================================================
+// FLIC APP MODULE INTEGRATION
+// ============================================================================
+
+// Universal actions for every device type (defined after handlers)
+let ACTION_HANDLERS;
+
+// Actions that take an argument, e.g. "volume 35" (defined after handlers)
+let PARAMETERIZED_ACTIONS;
+
+// Actions with an argument for every device type, e.g. "sleep 30" (defined after handlers)
+let UNIVERSAL_PARAMETERIZED_ACTIONS;
+
+// Handle action messages from Flic app
+flicApp.on('actionMessage', async (message) => {
+    console.log('Received action message:', message);
+    
+    // "timers" on its own lists the pending timers of all devices
+    if (message.trim().toLowerCase() === 'timers') {
+        listTimers();
+        return;
+    }
+    
+    // Parse device-specific commands: "{device-id} {action}"
+    const rawParts = message.split(' ');
+    if (rawParts.length >= 2) {
+        await runDeviceAction(rawParts[0], rawParts.slice(1).join(' '));
+    } else {
+        console.log('Invalid action message format. Expected: "{device-id} {action}"');
+    }
+});
+
+/**
+ * Run an action on a device, for action messages and button bindings
+ * @param {string} deviceId - Device identifier
+ * @param {string} rawAction - Action text as sent, e.g. "volume 35" (case is kept for arguments like source names)
+ */
+async function runDeviceAction(deviceId, rawAction) {
+    deviceId = deviceId.toLowerCase();
+    const action = rawAction.toLowerCase();
+    
+    // Find the device by device ID
     const device = findDevice(deviceId);
-    if (!device || device.type !== 'blind') {
-        console.error(`Blind device not found: ${deviceId}`);
+    if (!device) {
+        console.log(`Unknown device: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Look up the action in the device type's actions, then the universal ones
+        const deviceType = getDeviceType(device);
+        if (deviceType && deviceType.forwardAction && !deviceType.actions[action] &&
+            !deviceType.parameterizedActions[action.split(' ')[0]]) {
+            await deviceType.forwardAction(device, rawAction);
+            return;
+        }
+        
+        const handler = (deviceType && deviceType.actions[action]) || ACTION_HANDLERS[action];
+        if (handler) {
+            await handler(deviceId);
+        } else if (!await handleParameterizedAction(device, action, rawAction)) {
+            if (isKnownAction(action)) {
+                console.log(`"${action}" is not supported by ${device.name} (${device.type})`);
+            } else {
+                console.log(`Unknown action for device ${deviceId}: ${action}`);
+            }
+        }
+    } catch (error) {
+        // Unsupported actions were already logged with the reason
+        if (!error.unsupported) {
+            console.error(`❌ Error executing action "${action}" for device ${deviceId}:`, error);
+        }
+    }
+}
+
+// Handle virtual device updates from Flic Twist controllers
+flicApp.on('virtualDeviceUpdate', async (metaData, values) => {
+    const device = findDevice(metaData.virtualDeviceId);
+    if (!device) {
+        console.error(`❌ Device not found: ${metaData.virtualDeviceId}`);
+        return;
+    }
+    
+    // Only handle updates from the virtual device type the device was created as
+    const deviceType = getDeviceType(device);
+    if (!deviceType || !deviceType.handleUpdate || getVirtualDeviceType(device) !== metaData.dimmableType) {
+        return;
+    }
+    
+    try {
+        await deviceType.handleUpdate(metaData.virtualDeviceId, values);
+    } catch (error) {
+        console.error(`❌ Error handling virtual device update for ${device.name}:`, error);
+    }
+});
+
+// ============================================================================
+// BUTTON BINDINGS
+// ============================================================================
+
+// Gestures a binding can use, by the flag the buttons module sets on the event
+const BUTTON_GESTURES = {
+    click: 'isSingleClick',
+    double_click: 'isDoubleClick',
+    hold: 'isHold'
+};
+
+/**
+ * Find the bindings for a gesture on a button
+ * @param {Object} button - Button from the buttons module ({ bdaddr, serialNumber, name })
+ * @param {string} gesture - 'click', 'double_click', 'hold' or 'ramp'
+ * @returns {Array<Object>} - Matching bindings, in configured order
+ */
+function findButtonBindings(button, gesture) {
+    const names = [button.serialNumber, button.name].filter(Boolean).map(name => name.toLowerCase());
+    return HA_CONFIG.buttonBindings.filter(binding =>
+        binding.gesture === gesture && names.includes(String(binding.button).toLowerCase()));
+}
+
+/**
+ * Handle click, double click and hold events for bound buttons
+ * @param {Object} event - Event from the buttons module
+ */
+async function handleButtonGesture(event) {
+    const button = buttons.getButton(event.bdaddr);
+    if (!button) return;
+    
+    const gesture = Object.keys(BUTTON_GESTURES).find(name => event[BUTTON_GESTURES[name]]);
+    for (const binding of findButtonBindings(button, gesture)) {
+        console.log(`🔘 ${button.name || button.serialNumber} ${gesture}: ${binding.device} ${binding.action}`);
+        await runDeviceAction(binding.device, binding.action);
+    }
+}
+
+/**
+ * Listen to the hub's button events if any bindings are configured
+ */
+function startButtonBindings() {
+    const bindings = HA_CONFIG.buttonBindings;
+    if (bindings.length === 0) return;
+    
+    if (!buttons) {
+        console.log('⚠️ No buttons module on this hub - button bindings are disabled');
+        return;
+    }
+    
+    // Catch typos in the table at startup rather than on the first press
+    bindings.forEach(binding => {
+        if (!BUTTON_GESTURES[binding.gesture] && binding.gesture !== 'ramp') {
+            console.error(`❌ Unknown gesture "${binding.gesture}" for button ${binding.button} - use ${Object.keys(BUTTON_GESTURES).join(', ')} or ramp`);
+        }
+        if (!findDevice(String(binding.device).toLowerCase())) {
+            console.error(`❌ Unknown device "${binding.device}" bound to button ${binding.button}`);
+        }
+    });
+    
+    buttons.on('buttonSingleOrDoubleClickOrHold', event => {
+        handleButtonGesture(event).catch(error => {
+            console.error('❌ Error handling button event:', error);
+        });
+    });
+    
+    // Hold-to-ramp needs the raw press and release
+    if (bindings.some(binding => binding.gesture === 'ramp')) {
+        buttons.on('buttonDown', handleRampButtonDown);
+        buttons.on('buttonUp', event => stopRamps(event.bdaddr));
+    }
+    console.log(`🔘 Listening to ${bindings.length} button binding(s)`);
+}
+
+// ============================================================================
+// HOLD-TO-RAMP
+// ============================================================================
+
+// Ramps running per button bdaddr, one per 'ramp' binding of the button
+const activeRamps = new Map();
+
+// Direction of each device's last ramp (1 up/open, -1 down/close), so holds alternate
+const rampDirections = new Map();
+
+/**
+ * Get the range a ramp may move a device's level in
+ * @param {Object} device - Device configuration
+ * @param {string} family - Device family
+ * @returns {Object} - { min, max } (0-100)
+ */
+function getRampLimits(device, family) {
+    // Lights stay on at the bottom of the ramp, volume stays under its cap
+    return family === 'light' ? { min: 1, max: 100 } : { min: 0, max: getVolumeCap(device) };
+}
+
+/**
+ * Handle a button press for 'ramp' bindings: ramping starts once the button is held for holdDelay
+ * @param {Object} event - Event from the buttons module
+ */
+function handleRampButtonDown(event) {
+    const button = buttons.getButton(event.bdaddr);
+    const bindings = button ? findButtonBindings(button, 'ramp') : [];
+    if (bindings.length === 0) return;
+    
+    stopRamps(event.bdaddr);
+    
+    const ramps = bindings.map(binding => ({ deviceId: String(binding.device).toLowerCase(), stopped: false }));
+    ramps.forEach(ramp => {
+        ramp.timeoutId = setTimeout(() => {
+            ramp.started = startRamp(ramp).catch(error => {
+                console.error(`❌ Error ramping ${ramp.deviceId}:`, error);
+            });
+        }, HA_CONFIG.ramp.holdDelay);
+    });
+    activeRamps.set(event.bdaddr, ramps);
+}
+
+/**
+ * Start ramping a device in the opposite direction of its last ramp
+ * @param {Object} ramp - Ramp entry
+ */
+async function startRamp(ramp) {
+    const device = findDevice(ramp.deviceId);
+    const deviceType = device && getDeviceType(device);
+    if (!deviceType) {
+        console.log(`Unknown device: ${ramp.deviceId}`);
+        return;
+    }
+    
+    ramp.direction = -(rampDirections.get(device.id) || -1);
+    
+    // Covers move on their own until released
+    if (deviceType.family === 'blind') {
+        rampDirections.set(device.id, ramp.direction);
+        ramp.moving = true;
+        console.log(`↕️ ${device.name} ${ramp.direction > 0 ? 'opening' : 'closing'} while held`);
+        await (ramp.direction > 0 ? setBlindOpen(device.id) : setBlindClose(device.id));
+        return;
+    }
+    
+    const levels = DEVICE_LEVELS[deviceType.family];
+    if (!levels) {
+        console.log(`"ramp" is not supported by ${device.name} (${device.type})`);
+        return;
+    }
+    
+    ramp.device = device;
+    ramp.levels = levels;
+    ramp.limits = getRampLimits(device, deviceType.family);
+    ramp.level = await levels.read(device);
+    if (ramp.stopped) return;
+    
+    // Turn around when the level is already at the end it would move towards
+    if ((ramp.direction > 0 && ramp.level >= ramp.limits.max) || (ramp.direction < 0 && ramp.level <= ramp.limits.min)) {
+        ramp.direction = -ramp.direction;
+    }
+    rampDirections.set(device.id, ramp.direction);
+    
+    console.log(`🔆 Ramping ${device.name} ${ramp.direction > 0 ? 'up' : 'down'}`);
+    await rampStep(ramp);
+}
+
+/**
+ * Move a ramp one step and schedule the next one
+ * Only one call runs at a time and steps are at least `interval` ms apart, so HA isn't flooded.
+ *
+ * @param {Object} ramp - Ramp entry
+ */
+async function rampStep(ramp) {
+    if (ramp.stopped) return;
+    
+    const stepStarted = Date.now();
+    const step = HA_CONFIG.ramp.steps[getDeviceType(ramp.device).family];
+    const level = Math.max(ramp.limits.min, Math.min(ramp.limits.max, Math.round(ramp.level) + ramp.direction * step));
+    
+    if (level !== Math.round(ramp.level)) {
+        await ramp.levels.set(ramp.device.id, level);
+        ramp.level = level;
+    }
+    
+    // Stop at either end, like a wall dimmer
+    if (ramp.stopped || level === ramp.limits.min || level === ramp.limits.max) return;
+    
+    ramp.timeoutId = setTimeout(() => {
+        rampStep(ramp).catch(error => {
+            console.error(`❌ Error ramping ${ramp.device.name}:`, error);
+        });
+    }, Math.max(0, HA_CONFIG.ramp.interval - (Date.now() - stepStarted)));
+}
+
+/**
+ * Stop the ramps of a button on release; moving covers are stopped
+ * @param {string} bdaddr - Button address
+ */
+function stopRamps(bdaddr) {
+    const ramps = activeRamps.get(bdaddr);
+    if (!ramps) return;
+    activeRamps.delete(bdaddr);
+    
+    ramps.forEach(ramp => {
+        ramp.stopped = true;
+        clearTimeout(ramp.timeoutId);
+        
+        if (ramp.started) {
+            // Wait for the cover to start moving, so the stop can't arrive first
+            ramp.started.then(() => {
+                if (ramp.moving) {
+                    return setBlindStop(ramp.deviceId);
+                }
+            }).catch(error => {
+                console.error(`❌ Error stopping ${ramp.deviceId}:`, error);
+            });
+        }
+    });
+}
+
+// ============================================================================
+// ACTION HANDLERS
+// ============================================================================
+
+/**
+ * Generic volume adjustment with cooldown protection
+ */
+async function adjustDeviceVolume(deviceId, delta) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    // Check cooldown
+    const remainingCooldown = getRemainingCooldown(device, 'volume');
+    if (remainingCooldown > 0) {
+        // console.log(`⏳ Volume ${delta > 0 ? 'up' : 'down'} ignored - cooldown active (${Math.ceil(remainingCooldown / 1000)}s remaining)`);
+        return;
+    }
+    
+    try {
+        startCooldown(device, 'volume');
+        delta = Math.round(delta * getRepeatGain(device, delta > 0 ? 'volume up' : 'volume down'));
+        
+        // Players without volume_set step up/down instead (going up under a cap needs their current volume)
+        const cap = getVolumeCap(device);
+        if (!supportsService(await getDeviceCapabilities(device), 'media_player', 'volume_set') &&
+            (delta < 0 || cap >= 100)) {
+            await stepMediaVolume(deviceId, delta);
+            return;
+        }
+        
+        const stateData = await getDeviceState(device);
+        const currentVolume = stateData.attributes.volume_level * 100;
+        const newVolume = Math.max(0, Math.min(cap, currentVolume + delta));
+        
+        await setMediaVolume(deviceId, newVolume);
+    } catch (error) {
+        console.error(`❌ Error adjusting volume for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle mute toggle for specific device
+ */
+async function handleDeviceMuteToggle(deviceId) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current mute status
+        const stateData = await getDeviceState(device);
+        const isCurrentlyMuted = stateData.attributes.is_volume_muted;
+        
+        // Toggle mute status
+        const newMuteState = !isCurrentlyMuted;
+        await setMediaMute(deviceId, newMuteState);
+        
+        // console.log(`✅ ${device.name} ${newMuteState ? 'muted' : 'unmuted'}`);
+    } catch (error) {
+        console.error(`❌ Error toggling mute for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Find a device whose type supports power control
+ * @param {string} deviceId - Device identifier
+ * @param {string} action - Action name for the log message
+ * @returns {Object|null} - {device, deviceType} or null if not supported
+ */
+function findPowerDevice(deviceId, action) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return null;
+    }
+    
+    const deviceType = getDeviceType(device);
+    if (!deviceType || !deviceType.powerOn) {
+        console.log(`"${action}" is not supported by ${device.name} (${device.type})`);
+        return null;
+    }
+    
+    return { device, deviceType };
+}
+
+/**
+ * Handle power toggle for specific device (works with all device types)
+ */
+async function handleDevicePowerToggle(deviceId) {
+    const target = findPowerDevice(deviceId, 'power');
+    if (!target) return;
+    const { device, deviceType } = target;
+    
+    try {
+        // Get current power status and toggle it the way the device type defines
+        const stateData = await getDeviceState(device);
+        
+        if (deviceType.isOn(stateData)) {
+            await deviceType.powerOff(deviceId);
+        } else {
+            await powerOnWithProfile(device, deviceType);
+        }
+    } catch (error) {
+        console.error(`❌ Error toggling power for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle power on for specific device (works with all device types)
+ */
+async function handleDevicePowerOn(deviceId) {
+    const target = findPowerDevice(deviceId, 'on');
+    if (!target) return;
+    
+    try {
+        await powerOnWithProfile(target.device, target.deviceType);
+    } catch (error) {
+        console.error(`❌ Error turning on ${target.device.name}:`, error);
+    }
+}
+
+/**
+ * Turn a device on, with the settings of the active time-of-day profile if there are any
+ * @param {Object} device - Device configuration
+ * @param {Object} deviceType - Device type definition
+ */
+async function powerOnWithProfile(device, deviceType) {
+    const settings = deviceType.applyProfile ? getTimeProfileSettings(device, 'on') : null;
+    
+    if (settings) {
+        await deviceType.applyProfile(device.id, settings);
+    } else {
+        await deviceType.powerOn(device.id);
+    }
+}
+
+/**
+ * Handle power off for specific device (works with all device types)
+ */
+async function handleDevicePowerOff(deviceId) {
+    const target = findPowerDevice(deviceId, 'off');
+    if (!target) return;
+    
+    try {
+        await target.deviceType.powerOff(deviceId);
+    } catch (error) {
+        console.error(`❌ Error turning off ${target.device.name}:`, error);
+    }
+}
+
+/**
+ * Step through a list attribute of a device (source_list, sound_mode_list, preset_modes, fan_modes)
+ * @param {string} deviceId - Device identifier
+ * @param {string} listAttribute - Attribute holding the options
+ * @param {string} currentAttribute - Attribute holding the current option
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {Function} setter - Setter called with (deviceId, option)
+ */
+async function cycleDeviceOption(deviceId, listAttribute, currentAttribute, direction, setter) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const stateData = await getDeviceState(device);
+        const options = stateData.attributes[listAttribute] || [];
+        if (options.length === 0) {
+            console.log(`${device.name} has no ${listAttribute}`);
+            return;
+        }
+        
+        // An unknown current option starts from the first (next) or last (previous) entry
+        const currentIndex = options.indexOf(stateData.attributes[currentAttribute]);
+        const nextIndex = currentIndex === -1
+            ? (direction > 0 ? 0 : options.length - 1)
+            : (currentIndex + direction + options.length) % options.length;
+        await setter(deviceId, options[nextIndex]);
+    } catch (error) {
+        console.error(`❌ Error cycling ${currentAttribute} for ${device.name}:`, error);
+    }
+}
+
+// ============================================================================
+// LIGHT ACTION HANDLERS
+// ============================================================================
+
+/**
+ * Handle brightness up for light devices
+ */
+async function handleDeviceBrightnessUp(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) {
+        console.error(`Light device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current brightness
+        const currentBrightness = await getCurrentBrightnessAndUpdate(device);
+        const step = Math.round(25 * getRepeatGain(device, 'brightness up')); // ~10%, more when repeated quickly
+        const newBrightness = Math.min(255, (currentBrightness || 0) + step);
+        
+        await setLightBrightness(deviceId, newBrightness);
+    } catch (error) {
+        console.error(`❌ Error increasing brightness for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle brightness down for light devices
+ */
+async function handleDeviceBrightnessDown(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) {
+        console.error(`Light device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current brightness
+        const currentBrightness = await getCurrentBrightnessAndUpdate(device);
+        const step = Math.round(25 * getRepeatGain(device, 'brightness down')); // ~10%, more when repeated quickly
+        const newBrightness = Math.max(0, (currentBrightness || 0) - step);
+        
+        if (newBrightness === 0) {
+            await setLightPower(deviceId, false);
+        } else {
+            await setLightBrightness(deviceId, newBrightness);
+        }
+    } catch (error) {
+        console.error(`❌ Error decreasing brightness for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle set bright for light devices (100% brightness, or the active time-of-day profile)
+ */
+async function handleDeviceSetBright(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) {
+        console.error(`Light device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const settings = getTimeProfileSettings(device, 'bright');
+        if (settings) {
+            await applyLightProfile(deviceId, settings);
+        } else {
+            await setLightBrightness(deviceId, 255); // 100% brightness
+        }
+    } catch (error) {
+        console.error(`❌ Error setting bright for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle set dim for light devices (20% brightness, or the active time-of-day profile)
+ */
+async function handleDeviceSetDim(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) {
+        console.error(`Light device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const settings = getTimeProfileSettings(device, 'dim');
+        if (settings) {
+            await applyLightProfile(deviceId, settings);
+        } else {
+            await setLightBrightness(deviceId, 51); // ~20% brightness
+        }
+    } catch (error) {
+        console.error(`❌ Error setting dim for ${device.name}:`, error);
+    }
+}
+
+// ============================================================================
+// CLIMATE ACTION HANDLERS
+// ============================================================================
+
+/**
+ * Handle temperature up for climate devices
+ */
+async function handleDeviceTemperatureUp(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) {
+        console.error(`Climate device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current temperature
+        const currentTemp = await getCurrentTemperatureAndUpdate(device);
+        const defaults = getTemperatureUnitDefaults();
+        const step = defaults.increment * getRepeatGain(device, 'temp up'); // 1°C or 1°F, more when repeated quickly
+        const newTemp = (currentTemp || defaults.default) + step;
+        
+        await setClimateTemperature(deviceId, newTemp);
+    } catch (error) {
+        console.error(`❌ Error increasing temperature for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle temperature down for climate devices
+ */
+async function handleDeviceTemperatureDown(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) {
+        console.error(`Climate device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current temperature
+        const currentTemp = await getCurrentTemperatureAndUpdate(device);
+        const defaults = getTemperatureUnitDefaults();
+        const step = defaults.increment * getRepeatGain(device, 'temp down'); // 1°C or 1°F, more when repeated quickly
+        const newTemp = (currentTemp || defaults.default) - step;
+        
+        await setClimateTemperature(deviceId, newTemp);
+    } catch (error) {
+        console.error(`❌ Error decreasing temperature for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle "preset <mode>" for climate devices, checked against the entity's preset_modes
+ */
+async function handleDeviceClimateSetPreset(deviceId, presetMode) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) {
+        console.error(`Climate device not found: ${deviceId}`);
+        return;
+    }
+    
+    const stateData = await getDeviceState(device);
+    const presetModes = stateData.attributes.preset_modes || [];
+    const match = presetModes.find(mode => mode.toLowerCase() === presetMode);
+    if (!match) {
+        console.error(`❌ Unknown preset "${presetMode}" for ${device.name} - available: ${presetModes.join(', ') || 'none'}`);
+        return;
+    }
+    
+    await setClimatePresetMode(deviceId, match);
+}
+
+/**
+ * Handle HVAC mode setting for climate devices
+ */
+async function handleDeviceSetMode(deviceId, mode) {
+    const device = findDeviceOfFamily(deviceId, 'climate');
+    if (!device) {
+        console.error(`Climate device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        await setClimateMode(deviceId, mode);
+    } catch (error) {
+        console.error(`❌ Error setting mode for ${device.name}:`, error);
+    }
+}
+
+// ============================================================================
+// BLIND ACTION HANDLERS
+// ============================================================================
+
+/**
+ * Handle open for blind devices
+ */
+async function handleDeviceBlindOpen(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
+        console.error(`Blind device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        await setBlindOpen(deviceId);
+    } catch (error) {
+        console.error(`❌ Error opening ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle close for blind devices
+ */
+async function handleDeviceBlindClose(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
+        console.error(`Blind device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        await setBlindClose(deviceId);
+    } catch (error) {
+        console.error(`❌ Error closing ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle stop for blind devices
+ */
+async function handleDeviceBlindStop(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
+        console.error(`Blind device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        await setBlindStop(deviceId);
+    } catch (error) {
+        console.error(`❌ Error stopping ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle position up for blind devices (increase by 10%, more when repeated quickly)
+ */
+async function handleDeviceBlindUp(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
+        console.error(`Blind device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current position (the tilt for devices with twistMode 'tilt')
+        const currentPosition = await getCurrentBlindPositionAndUpdate(device);
+        const setter = device.twistMode === 'tilt' ? setBlindTiltPosition : setBlindPosition;
+        const step = Math.round(10 * getRepeatGain(device, 'position up')); // 10%, more when repeated quickly
+        const newPosition = Math.min(100, (currentPosition || 0) + step);
+        
+        await setter(deviceId, newPosition);
+    } catch (error) {
+        console.error(`❌ Error moving up ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle position down for blind devices (decrease by 10%, more when repeated quickly)
+ */
+async function handleDeviceBlindDown(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'blind');
+    if (!device) {
+        console.error(`Blind device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        // Get current position (the tilt for devices with twistMode 'tilt')
+        const currentPosition = await getCurrentBlindPositionAndUpdate(device);
+        const setter = device.twistMode === 'tilt' ? setBlindTiltPosition : setBlindPosition;
+        const step = Math.round(10 * getRepeatGain(device, 'position down')); // 10%, more when repeated quickly
+        const newPosition = Math.max(0, (currentPosition || 0) - step);
+        
+        await setter(deviceId, newPosition);
+    } catch (error) {
+        console.error(`❌ Error moving down ${device.name}:`, error);
+    }
+}
+
+// ============================================================================
+// MEDIA ACTION HANDLERS
+// ============================================================================
+
+// Repeat modes in the order "repeat" steps through them
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+/**
+ * Handle "source <name>", matched case-insensitively against the entity's source_list
+ */
+async function handleDeviceSelectSource(deviceId, source) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    const stateData = await getDeviceState(device);
+    const sources = stateData.attributes.source_list || [];
+    const match = sources.find(s => s.toLowerCase() === source.toLowerCase());
+    if (!match) {
+        console.error(`❌ Unknown source "${source}" for ${device.name} - available: ${sources.join(', ') || 'none'}`);
+        return;
+    }
+    
+    await setMediaSource(deviceId, match);
+}
+
+/**
+ * Handle shuffle toggle for specific device
+ */
+async function handleDeviceShuffleToggle(deviceId) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const stateData = await getDeviceState(device);
+        await setMediaShuffle(deviceId, !stateData.attributes.shuffle);
+    } catch (error) {
+        console.error(`❌ Error toggling shuffle for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle repeat for specific device, stepping off → all → one → off
+ */
+async function handleDeviceRepeatCycle(deviceId) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        console.error(`Device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const stateData = await getDeviceState(device);
+        const currentIndex = REPEAT_MODES.indexOf(stateData.attributes.repeat);
+        await setMediaRepeat(deviceId, REPEAT_MODES[(currentIndex + 1) % REPEAT_MODES.length]);
+    } catch (error) {
+        console.error(`❌ Error cycling repeat for ${device.name}:`, error);
+    }
+}
+
+// ============================================================================
+// FAN ACTION HANDLERS
+// ============================================================================
+
+/**
+ * Handle speed up/down for fan devices (one percentage_step, or 10%)
+ */
+async function adjustFanSpeed(deviceId, direction) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) {
+        console.error(`Fan device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const stateData = await getDeviceState(device);
+        const step = stateData.attributes.percentage_step || 10;
+        const currentPercentage = stateData.state === 'on' ? (stateData.attributes.percentage || 0) : 0;
+        
+        await setFanPercentage(deviceId, currentPercentage + direction * step);
+    } catch (error) {
+        console.error(`❌ Error changing speed for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle oscillation toggle for fan devices
+ */
+async function handleDeviceFanOscillate(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) {
+        console.error(`Fan device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const stateData = await getDeviceState(device);
+        await setFanOscillation(deviceId, !stateData.attributes.oscillating);
+    } catch (error) {
+        console.error(`❌ Error toggling oscillation for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle preset cycling for fan devices (steps through the entity's preset_modes)
+ */
+async function handleDeviceFanPresetNext(deviceId) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) {
+        console.error(`Fan device not found: ${deviceId}`);
+        return;
+    }
+    
+    try {
+        const stateData = await getDeviceState(device);
+        const presetModes = stateData.attributes.preset_modes || [];
+        if (presetModes.length === 0) {
+            console.log(`${device.name} has no preset modes`);
+            return;
+        }
+        
+        const currentIndex = presetModes.indexOf(stateData.attributes.preset_mode);
+        await setFanPresetMode(deviceId, presetModes[(currentIndex + 1) % presetModes.length]);
+    } catch (error) {
+        console.error(`❌ Error cycling preset for ${device.name}:`, error);
+    }
+}
+
+/**
+ * Handle "preset <mode>" for fan devices, checked against the entity's preset_modes
+ */
+async function handleDeviceFanSetPreset(deviceId, presetMode) {
+    const device = findDeviceOfFamily(deviceId, 'fan');
+    if (!device) {
+        console.error(`Fan device not found: ${deviceId}`);
+        return;
+    }
+    
+    const stateData = await getDeviceState(device);
+    const presetModes = stateData.attributes.preset_modes || [];
+    const match = presetModes.find(mode => mode.toLowerCase() === presetMode);
+    if (!match) {
+        console.error(`❌ Unknown preset "${presetMode}" for ${device.name} - available: ${presetModes.join(', ') || 'none'}`);
+        return;
+    }
+    
+    await setFanPresetMode(deviceId, match);
+}
+
+// ============================================================================
+// SLEEP AND DELAY TIMERS
+// ============================================================================
+
+// Pending timers per device id: { deviceId, kind ('sleep' or 'off'), dueAt, fade, timeoutId }
+const deviceTimers = new Map();
+
+// Levels sleep timers fade down and held buttons ramp (0-100), per device family
+const DEVICE_LEVELS = {
+    media: {
+        read: async device => ((await getDeviceState(device)).attributes.volume_level || 0) * 100,
+        set: setMediaVolume,
+        // Set back to the level from before a sleep fade once the player is off
+        restore: setMediaVolume
+    },
+    light: {
+        read: async device => ((await getDeviceState(device)).attributes.brightness || 0) / 255 * 100,
+        set: (deviceId, level) => setLightBrightness(deviceId, level * 2.55),
+        // Sleep timers fade lights out in one transition instead of stepping the brightness down
+        fadeOut: fadeOutLight
+    }
+};
+
+/**
+ * Start a timer that turns a device off (or closes it) later, replacing the device's current timer
+ * @param {Object} device - Device configuration
+ * @param {string} kind - 'sleep' (fades down first where possible) or 'off'
+ * @param {number} dueAt - Time to turn off (ms since epoch)
+ */
+function startDeviceTimer(device, kind, dueAt) {
+    cancelDeviceTimer(device.id, false);
+    
+    const deviceType = getDeviceType(device);
+    const timer = {
+        deviceId: device.id,
+        kind,
+        dueAt,
+        fade: kind === 'sleep' && !!(deviceType && DEVICE_LEVELS[deviceType.family])
+    };
+    
+    deviceTimers.set(device.id, timer);
+    scheduleTimerStep(timer);
+    saveTimers();
+    
+    console.log(`⏲️ ${device.name}: ${describeTimer(timer)}`);
+}
+
+/**
+ * Cancel a device's timer
+ * @param {string} deviceId - Device identifier
+ * @param {boolean} log - Log the result (false when a new timer replaces the old one)
+ * @returns {boolean} - True if a timer was cancelled
+ */
+function cancelDeviceTimer(deviceId, log = true) {
+    const timer = deviceTimers.get(deviceId);
+    if (timer) {
+        clearTimeout(timer.timeoutId);
+        deviceTimers.delete(deviceId);
+        saveTimers();
+    }
+    
+    if (log) {
+        const device = findDevice(deviceId);
+        console.log(timer ? `⏲️ ${device.name}: timer cancelled` : `⏲️ ${device.name} has no timer`);
+    }
+    return !!timer;
+}
+
+/**
+ * Schedule the next step of a timer: the start of the fade, the next fade step or turning off
+ * @param {Object} timer - Timer entry
+ */
+function scheduleTimerStep(timer) {
+    const now = Date.now();
+    const fadeStart = timer.fade ? timer.dueAt - HA_CONFIG.timers.fadeDuration : timer.dueAt;
+    
+    let next = timer.dueAt;
+    if (now < fadeStart) {
+        next = fadeStart;
+    } else if (timer.fade) {
+        next = Math.min(timer.dueAt, now + HA_CONFIG.timers.fadeDuration / HA_CONFIG.timers.fadeSteps);
+    }
+    
+    timer.timeoutId = setTimeout(() => runTimerStep(timer), Math.max(0, next - now));
+}
+
+/**
+ * Run a timer step: fade the device down, or turn it off once the timer is due
+ * @param {Object} timer - Timer entry
+ */
+async function runTimerStep(timer) {
+    // Cancelled or replaced in the meantime
+    if (deviceTimers.get(timer.deviceId) !== timer) return;
+    
+    const device = findDevice(timer.deviceId);
+    const deviceType = device && getDeviceType(device);
+    if (!deviceType) {
+        deviceTimers.delete(timer.deviceId);
+        saveTimers();
+        return;
+    }
+    
+    if (Date.now() < timer.dueAt) {
+        // Timers without a fade (off timers, climate and blinds) can wake up a moment early
+        if (timer.fade) {
+            await fadeTimerStep(device, deviceType, timer);
+        }
+        scheduleTimerStep(timer);
+        return;
+    }
+    
+    deviceTimers.delete(timer.deviceId);
+    saveTimers();
+    
+    try {
+        console.log(`⏲️ ${device.name}: ${timer.kind} timer done - turning off`);
+        await deviceType.powerOff(device.id);
+    } catch (error) {
+        console.error(`❌ Error turning off ${device.name} for its timer:`, error);
+        return;
+    }
+    
+    // Otherwise the next "on" would start at the faded level
+    const fadeLevel = DEVICE_LEVELS[deviceType.family];
+    if (timer.fadeFrom !== undefined && fadeLevel && fadeLevel.restore) {
+        try {
+            await fadeLevel.restore(device.id, timer.fadeFrom);
+        } catch (error) {
+            console.error(`❌ Error restoring the level of ${device.name} after its timer:`, error);
+        }
+    }
+}
+
+/**
+ * Lower a device's volume or brightness towards 0 in proportion to the time left
+ * @param {Object} device - Device configuration
+ * @param {Object} deviceType - Device type definition
+ * @param {Object} timer - Timer entry
+ */
+async function fadeTimerStep(device, deviceType, timer) {
+    const fadeLevel = DEVICE_LEVELS[deviceType.family];
+    
+    try {
+        if (fadeLevel.fadeOut) {
+            if (!timer.fadingOut) {
+                timer.fadingOut = true;
+                const seconds = Math.max(1, Math.round((timer.dueAt - Date.now()) / 1000));
+                if (!await fadeLevel.fadeOut(device, seconds)) {
+                    console.log(`⏲️ ${device.name} can't fade - turning it off when the timer is due`);
+                    timer.fade = false;
+                    saveTimers();
+                }
+            }
+            return;
+        }
+        
+        // The level the fade starts from is read once, when fading begins (and restored after turning off)
+        if (timer.fadeFrom === undefined) {
+            timer.fadeFrom = await fadeLevel.read(device);
+            timer.fadeBegan = Date.now();
+            saveTimers();
+        }
+        
+        const remaining = (timer.dueAt - Date.now()) / Math.max(1, timer.dueAt - timer.fadeBegan);
+        const level = Math.round(timer.fadeFrom * remaining);
+        if (level >= 1 && level < timer.fadeFrom) {
+            await fadeLevel.set(device.id, level);
+        }
+    } catch (error) {
+        // Keep going - the device is still turned off when the timer is due
+        console.error(`❌ Error fading ${device.name}:`, error);
+    }
+}
+
+/**
+ * Describe a timer for the log, e.g. "sleep at 23:45 (in 28 min, fading)"
+ * @param {Object} timer - Timer entry
+ * @returns {string} - Description
+ */
+function describeTimer(timer) {
+    const due = new Date(timer.dueAt);
+    const minutes = Math.max(0, Math.round((timer.dueAt - Date.now()) / 60000));
+    return `${timer.kind} at ${formatTimeOfDay(due.getHours() * 60 + due.getMinutes())} (in ${minutes} min${timer.fade ? ', fading' : ''})`;
+}
+
+/**
+ * Log pending timers
+ * @param {string} deviceId - Only list this device's timer (optional)
+ */
+function listTimers(deviceId = null) {
+    const timers = [...deviceTimers.values()].filter(timer => !deviceId || timer.deviceId === deviceId);
+    if (timers.length === 0) {
+        console.log('⏲️ No timers pending');
+        return;
+    }
+    
+    timers.forEach(timer => {
+        const device = findDevice(timer.deviceId);
+        console.log(`⏲️ ${device ? device.name : timer.deviceId}: ${describeTimer(timer)}`);
+    });
+}
+
+/**
+ * Handle "sleep <minutes>|cancel" - fade down and turn off after a delay
+ */
+function handleDeviceSleepTimer(deviceId, timerArg) {
+    handleDeviceTimer(deviceId, 'sleep', timerArg);
+}
+
+/**
+ * Handle "off in <minutes>", "off at <HH:MM>" and "off cancel"
+ */
+function handleDeviceOffTimer(deviceId, timerArg) {
+    handleDeviceTimer(deviceId, 'off', timerArg);
+}
+
+/**
+ * Start or cancel a timer from a parsed timer argument
+ * @param {string} deviceId - Device identifier
+ * @param {string} kind - 'sleep' or 'off'
+ * @param {Object} timerArg - { cancel: true } or { dueAt }
+ */
+function handleDeviceTimer(deviceId, kind, timerArg) {
+    const target = findPowerDevice(deviceId, kind);
+    if (!target) return;
+    
+    if (timerArg.cancel) {
+        cancelDeviceTimer(deviceId);
+    } else {
+        startDeviceTimer(target.device, kind, timerArg.dueAt);
+    }
+}
+
+/**
+ * Save pending timers to the hub's datastore, so they survive a restart
+ */
+function saveTimers() {
+    if (!datastore) return;
+    
+    const timers = [...deviceTimers.values()].map(timer => ({
+        deviceId: timer.deviceId,
+        kind: timer.kind,
+        dueAt: timer.dueAt,
+        fade: timer.fade,
+        // A fade in progress continues after a restart, and its level is still restored
+        fadeFrom: timer.fadeFrom,
+        fadeBegan: timer.fadeBegan
+    }));
+    
+    try {
+        datastore.put(HA_CONFIG.timers.storageKey, JSON.stringify(timers), error => {
+            if (error) console.error('❌ Error saving timers:', error);
+        });
+    } catch (error) {
+        console.error('❌ Error saving timers:', error);
+    }
+}
+
+/**
+ * Restore timers saved before a restart
+ * Timers that came due while the script wasn't running still run if they're less than missedGrace late.
+ */
+async function restoreTimers() {
+    if (!datastore) {
+        console.log('⚠️ No datastore on this hub - timers won\'t survive a restart');
+        return;
+    }
+    
+    try {
+        const stored = await new Promise((resolve, reject) => {
+            datastore.get(HA_CONFIG.timers.storageKey, (error, value) => error ? reject(error) : resolve(value));
+        });
+        if (!stored) return;
+        
+        const now = Date.now();
+        JSON.parse(stored).forEach(saved => {
+            const device = findDevice(saved.deviceId);
+            if (!device || now - saved.dueAt > HA_CONFIG.timers.missedGrace) {
+                console.log(`⏲️ Dropping ${saved.kind} timer for ${device ? device.name : saved.deviceId}`);
+                return;
+            }
+            
+            const timer = {
+                deviceId: saved.deviceId,
+                kind: saved.kind,
+                dueAt: saved.dueAt,
+                fade: saved.fade,
+                fadeFrom: saved.fadeFrom,
+                fadeBegan: saved.fadeBegan
+            };
+            deviceTimers.set(saved.deviceId, timer);
+            scheduleTimerStep(timer);
+            console.log(`⏲️ Restored ${device.name}: ${describeTimer(timer)}`);
+        });
+        saveTimers();
+    } catch (error) {
+        console.error('❌ Error restoring timers:', error);
+    }
+}
+
+// ============================================================================
+// PARAMETERIZED ACTION PARSING
+// ============================================================================
+
+// Named colors accepted by "{device-id} color {name}"
+const NAMED_COLORS = {
+    'red': [255, 0, 0],
+    'orange': [255, 136, 0],
+    'yellow': [255, 255, 0],
+    'green': [0, 255, 0],
+    'cyan': [0, 255, 255],
+    'blue': [0, 0, 255],
+    'purple': [128, 0, 255],
+    'pink': [255, 0, 128],
+    'white': [255, 255, 255]
+};
+
+/**
+ * Parse a percentage argument ("35" or "35%")
+ * @param {string} arg - Raw argument
+ * @returns {number} - Percentage (0-100)
+ */
+function parsePercentageArg(arg) {
+    const match = /^(\d+(?:\.\d+)?)%?$/.exec(arg);
+    if (!match) {
+        throw new Error(`"${arg}" is not a number`);
+    }
+    
+    const value = parseFloat(match[1]);
+    if (value < 0 || value > 100) {
+        throw new Error(`${value} is out of range (0-100)`);
+    }
+    return value;
+}
+
+/**
+ * Parse a temperature argument ("21.5", "21.5c", "21.5°c" or "70f")
+ * Values without a unit are in Home Assistant's unit
+ * @param {string} arg - Raw argument
+ * @returns {number} - Temperature in Home Assistant's unit
+ */
+function parseTemperatureArg(arg) {
+    const match = /^(-?\d+(?:\.\d+)?)°?([cf])?$/.exec(arg);
+    if (!match) {
+        throw new Error(`"${arg}" is not a temperature`);
+    }
+    
+    const value = parseFloat(match[1]);
+    return match[2] ? convertTemperature(value, `°${match[2].toUpperCase()}`) : value;
+}
+
+/**
+ * Parse a color argument ("#ff8800", "#f80", "255,136,0" or a named color)
+ * @param {string} arg - Raw argument
+ * @returns {Array} - RGB color array [r, g, b] (0-255 each)
+ */
+function parseColorArg(arg) {
+    if (NAMED_COLORS[arg]) {
+        return NAMED_COLORS[arg];
+    }
+    
+    const hexMatch = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/.exec(arg);
+    if (hexMatch) {
+        let hex = hexMatch[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+    }
+    
+    const rgbMatch = /^(\d{1,3}),(\d{1,3}),(\d{1,3})$/.exec(arg.replace(/\s/g, ''));
+    if (rgbMatch) {
+        const rgb = rgbMatch.slice(1).map(c => parseInt(c, 10));
+        if (rgb.some(c => c > 255)) {
+            throw new Error(`"${arg}" has RGB components above 255`);
+        }
+        return rgb;
+    }
+    
+    throw new Error(`"${arg}" is not a color`);
+}
+
+/**
+ * Parse a color temperature argument ("2700" or "2700k")
+ * @param {string} arg - Raw argument
+ * @returns {number} - Color temperature in Kelvin
+ */
+function parseKelvinArg(arg) {
+    const match = /^(\d+)k?$/.exec(arg);
+    if (!match) {
+        throw new Error(`"${arg}" is not a color temperature`);
+    }
+    
+    const kelvin = parseInt(match[1], 10);
+    if (kelvin < 1000 || kelvin > 10000) {
+        throw new Error(`${kelvin}K is out of range (1000-10000K)`);
+    }
+    return kelvin;
+}
+
+/**
+ * Parse a name argument such as a preset or mode ("eco", "sleep")
+ * @param {string} arg - Raw argument
+ * @returns {string} - Trimmed name
+ */
+function parseNameArg(arg) {
+    if (!/^[\w\- ]+$/.test(arg)) {
+        throw new Error(`"${arg}" is not a valid name`);
+    }
+    return arg;
+}
+
+/**
+ * Parse script variables ("brightness=40 room=Bedroom announce=true")
+ * @param {string} arg - Raw argument (case preserved)
+ * @returns {Object} - Variables with numbers and booleans converted
+ */
+function parseVariablesArg(arg) {
+    const variables = {};
+    arg.split(/\s+/).forEach(pair => {
+        const match = /^([A-Za-z_]\w*)=(.*)$/.exec(pair);
+        if (!match) {
+            throw new Error(`"${pair}" is not a key=value pair`);
+        }
+        
+        const [, key, value] = match;
+        if (/^-?\d+(\.\d+)?$/.test(value)) {
+            variables[key] = parseFloat(value);
+        } else if (value === 'true' || value === 'false') {
+            variables[key] = value === 'true';
+        } else {
+            variables[key] = value;
+        }
+    });
+    return variables;
+}
+
+/**
+ * Parse a timer argument: minutes ("30", "in 10"), a time of day ("at 06:30") or "cancel"
+ * @param {string} arg - Raw argument
+ * @returns {Object} - { cancel: true } or { dueAt } (ms since epoch, hub clock)
+ */
+function parseTimerArg(arg) {
+    if (arg === 'cancel') {
+        return { cancel: true };
+    }
+    
+    const delay = /^(?:in\s+)?(\d+)\s*(?:m|min|mins|minutes?)?$/.exec(arg);
+    if (delay) {
+        const minutes = Number(delay[1]);
+        if (minutes < 1 || minutes > 1440) {
+            throw new Error(`${minutes} minutes is outside 1-1440`);
+        }
+        return { dueAt: Date.now() + minutes * 60000 };
+    }
+    
+    const at = /^at\s+(\S+)$/.exec(arg);
+    const minuteOfDay = at ? parseTimeOfDay(at[1]) : null;
+    if (minuteOfDay === null) {
+        throw new Error(`"${arg}" is not a delay or time`);
+    }
+    
+    // The next time the clock shows that time, today or tomorrow
+    const dueAt = new Date();
+    dueAt.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+    if (dueAt.getTime() <= Date.now()) {
+        dueAt.setDate(dueAt.getDate() + 1);
+    }
+    return { dueAt: dueAt.getTime() };
+}
+
+/**
+ * Handle "{keyword} {argument}" actions such as "volume 35" or "color #ff8800"
+ * @param {Object} device - Device configuration
+ * @param {string} action - Action text after the device id (lowercase)
+ * @param {string} rawAction - Action text as sent, for arguments where case matters
+ * @returns {Promise<boolean>} - False if the keyword isn't a parameterized action
+ */
+async function handleParameterizedAction(device, action, rawAction = action) {
+    const [keyword, ...argParts] = action.split(' ');
+    const deviceType = getDeviceType(device);
+    const definition = (deviceType && deviceType.parameterizedActions[keyword]) || UNIVERSAL_PARAMETERIZED_ACTIONS[keyword];
+    if (!definition) return false;
+    
+    const arg = argParts.join(' ').trim();
+    if (!arg) {
+        console.error(`❌ Missing argument for "${keyword}" - usage: {device-id} ${definition.usage}`);
+        return true;
+    }
+    
+    let value;
+    try {
+        value = definition.parse(definition.preserveCase ? rawAction.split(' ').slice(1).join(' ').trim() : arg);
+    } catch (error) {
+        console.error(`❌ Invalid argument for "${keyword}": ${error.message} - usage: {device-id} ${definition.usage}`);
+        return true;
+    }
+    
+    await definition.handler(device.id, value);
+    return true;
+}
+
+// Initialize ACTION_HANDLERS after all handler functions are defined
+// Universal device actions - they use the power behavior of each device type
+ACTION_HANDLERS = {
+    'power': handleDevicePowerToggle,
+    'on': handleDevicePowerOn,
+    'off': handleDevicePowerOff,
+    'timers': deviceId => listTimers(deviceId)
+};
+
+// Universal timer actions - when due they use the power off behavior of each device type
+UNIVERSAL_PARAMETERIZED_ACTIONS = {
+    'sleep': {
+        usage: 'sleep <minutes>|at <HH:MM>|cancel',
+        parse: parseTimerArg,
+        handler: handleDeviceSleepTimer
+    },
+    'off': {
+        usage: 'off in <minutes>|at <HH:MM>|cancel',
+        parse: parseTimerArg,
+        handler: handleDeviceOffTimer
+    }
+};
+
+// Media device actions
+const MEDIA_ACTIONS = {
+    'volume up': deviceId => adjustDeviceVolume(deviceId, 10),
+    'volume down': deviceId => adjustDeviceVolume(deviceId, -10),
+    'mute': handleDeviceMuteToggle,
+    'play': setMediaPlay,
+    'pause': setMediaPause,
+    'next': setMediaNextTrack,
+    'previous': setMediaPreviousTrack,
+    'source next': deviceId => cycleDeviceOption(deviceId, 'source_list', 'source', 1, setMediaSource),
+    'source prev': deviceId => cycleDeviceOption(deviceId, 'source_list', 'source', -1, setMediaSource),
+    'shuffle': handleDeviceShuffleToggle,
+    'repeat': handleDeviceRepeatCycle,
+    'sound mode': deviceId => cycleDeviceOption(deviceId, 'sound_mode_list', 'sound_mode', 1, setMediaSoundMode),
+    'sound mode prev': deviceId => cycleDeviceOption(deviceId, 'sound_mode_list', 'sound_mode', -1, setMediaSoundMode)
+};
+
+// Light device actions
+const LIGHT_ACTIONS = {
+    'brightness up': handleDeviceBrightnessUp,
+    'brightness down': handleDeviceBrightnessDown,
+    'bright': handleDeviceSetBright,
+    'dim': handleDeviceSetDim
+};
+
+// Climate device actions
+const CLIMATE_ACTIONS = {
+    'temp up': handleDeviceTemperatureUp,
+    'temp down': handleDeviceTemperatureDown,
+    'heat': deviceId => handleDeviceSetMode(deviceId, 'heat'),
+    'cool': deviceId => handleDeviceSetMode(deviceId, 'cool'),
+    'auto': deviceId => handleDeviceSetMode(deviceId, 'auto'),
+    'heat cool': deviceId => handleDeviceSetMode(deviceId, 'heat_cool'),
+    'preset next': deviceId => cycleDeviceOption(deviceId, 'preset_modes', 'preset_mode', 1, setClimatePresetMode),
+    'preset prev': deviceId => cycleDeviceOption(deviceId, 'preset_modes', 'preset_mode', -1, setClimatePresetMode),
+    'fan mode next': deviceId => cycleDeviceOption(deviceId, 'fan_modes', 'fan_mode', 1, setClimateFanMode),
+    'fan mode prev': deviceId => cycleDeviceOption(deviceId, 'fan_modes', 'fan_mode', -1, setClimateFanMode)
+};
+
+// Blind device actions
+const BLIND_ACTIONS = {
+    'open': handleDeviceBlindOpen,
+    'close': handleDeviceBlindClose,
+    'stop': handleDeviceBlindStop,
+    'position up': handleDeviceBlindUp,
+    'position down': handleDeviceBlindDown,
+    'tilt open': deviceId => setBlindTilt(deviceId, 'open'),
+    'tilt close': deviceId => setBlindTilt(deviceId, 'close'),
+    'tilt stop': deviceId => setBlindTilt(deviceId, 'stop')
+};
+
+// Fan device actions
+const FAN_ACTIONS = {
+    'speed up': deviceId => adjustFanSpeed(deviceId, 1),
+    'speed down': deviceId => adjustFanSpeed(deviceId, -1),
+    'oscillate': handleDeviceFanOscillate,
+    'preset next': handleDeviceFanPresetNext
+};
+
+// Initialize PARAMETERIZED_ACTIONS: "{device-id} {keyword} {argument}"
+// Device types pick the ones they support in the registry
+PARAMETERIZED_ACTIONS = {
+    'volume': {
+        usage: 'volume <0-100>[%]',
+        parse: parsePercentageArg,
+        handler: setMediaVolume
+    },
+    'brightness': {
+        usage: 'brightness <0-100>[%]',
+        parse: parsePercentageArg,
+        handler: (deviceId, percentage) => percentage === 0
+            ? setLightPower(deviceId, false)
+            : setLightBrightness(deviceId, percentage * 2.55)
+    },
+    'color': {
+        usage: 'color <#rrggbb|r,g,b|name>',
+        parse: parseColorArg,
+        handler: setLightColor
+    },
+    'kelvin': {
+        usage: 'kelvin <1000-10000>[k]',
+        parse: parseKelvinArg,
+        handler: setLightColorTemperature
+    },
+    'temp': {
+        usage: 'temp <degrees>[c|f]',
+        parse: parseTemperatureArg,
+        handler: setClimateTemperature
+    },
+    'position': {
+        usage: 'position <0-100>[%]',
+        parse: parsePercentageArg,
+        handler: setBlindPosition
+    }
+};
+
+// ============================================================================
+// DEVICE TYPE REGISTRY
+// ============================================================================
+
+/**
+ * Registered device types, keyed by the `type` used in HA_CONFIG.devices
+ *
+ * Each type declares in one place:
+ * - domain: Home Assistant domain of its entities
+ * - family: Types in the same family share type guards (e.g. light and color_light)
+ * - virtualDeviceType: Flic virtual device type ('Speaker', 'Light', 'Blind')
+ * - resolveVirtualDeviceType(device): Optional, for types whose virtual device type depends on the device
+ * - forwardAction(device, rawAction): Optional, runs action messages the type doesn't handle itself
+ * - readState(device): Read the state from Home Assistant and update the virtual device
+ * - applyState(device, stateData): Update the virtual device from a known entity state
+ * - handleUpdate(deviceId, values): Handle a Twist update for the virtual device
+ * - isOn(stateData), powerOn(deviceId), powerOff(deviceId): "power", "on" and "off" behavior
+ * - applyProfile(deviceId, settings): Optional power on with time-of-day profile settings (see HA_CONFIG.timeProfiles)
+ * - actions: Fixed action messages, e.g. { 'dim': handler }
+ * - parameterizedActions: "{keyword} {argument}" actions, e.g. { 'volume': PARAMETERIZED_ACTIONS.volume }
+ * - discovery: Optional { category, matches(stateData), configure(device, stateData) } for device discovery
+ */
+const DEVICE_TYPES = {};
+
+/**
+ * Register a device type (see DEVICE_TYPES for the fields)
+ * @param {string} type - Device type used in HA_CONFIG.devices
+ * @param {Object} definition - Device type definition
+ */
+function registerDeviceType(type, definition) {
+    DEVICE_TYPES[type] = {
+        family: type,
+        actions: {},
+        parameterizedActions: {},
+        isOn: stateData => stateData.state === 'on',
+        ...definition
+    };
+}
+
+/**
+ * Get the registry entry for a device
+ * @param {Object} device - Device configuration
+ * @returns {Object|null} - Device type definition or null for unknown types
+ */
+function getDeviceType(device) {
+    return DEVICE_TYPES[device.type] || null;
+}
+
+/**
+ * Get the Flic virtual device type a device is created as
+ * @param {Object} device - Device configuration
+ * @returns {string|null} - 'Speaker', 'Light' or 'Blind', null for devices without a virtual device
+ */
+function getVirtualDeviceType(device) {
+    const deviceType = getDeviceType(device);
+    if (!deviceType) return null;
+    return deviceType.resolveVirtualDeviceType ? deviceType.resolveVirtualDeviceType(device) : deviceType.virtualDeviceType;
+}
+
+/**
+ * Find a device by ID, only if its type belongs to the given family
+ * @param {string} deviceId - Device identifier
+ * @param {string} family - Device family (e.g. 'light')
+ * @returns {Object|null} - Device object or null if not found
+ */
+function findDeviceOfFamily(deviceId, family) {
+    const device = findDevice(deviceId);
+    const deviceType = device && getDeviceType(device);
+    return deviceType && deviceType.family === family ? device : null;
+}
+
+/**
+ * Check whether any registered type supports an action (for clearer log messages)
+ * @param {string} action - Action text after the device id
+ * @returns {boolean} - True if some device type knows the action
+ */
+function isKnownAction(action) {
+    const keyword = action.split(' ')[0];
+    return !!UNIVERSAL_PARAMETERIZED_ACTIONS[keyword] || Object.values(DEVICE_TYPES).some(deviceType =>
+        deviceType.actions[action] || deviceType.parameterizedActions[keyword]);
+}
+
+registerDeviceType('media_player', {
+    domain: 'media_player',
+    family: 'media',
+    virtualDeviceType: 'Speaker',
+    readState: getCurrentVolumeAndUpdate,
+    applyState: updateVolumeFromState,
+    handleUpdate: handleMediaDeviceUpdate,
+    powerOn: deviceId => setMediaPower(deviceId, true),
+    powerOff: deviceId => setMediaPower(deviceId, false),
+    applyProfile: applyMediaProfile,
+    actions: MEDIA_ACTIONS,
+    parameterizedActions: {
+        'volume': PARAMETERIZED_ACTIONS.volume,
+        'source': {
+            usage: 'source <name>|next|prev',
+            // Source names like "HDMI 1" or "TV/Antenna" are matched case-insensitively against source_list
+            preserveCase: true,
+            parse: arg => arg,
+            handler: handleDeviceSelectSource
+        }
+    },
+    discovery: { category: 'media' }
+});
+
+registerDeviceType('playback', {
+    domain: 'media_player',
+    family: 'media',
+    virtualDeviceType: 'Speaker',
+    // Playback devices always rest at the center position and have no state to sync
+    readState: resetPlaybackDevice,
+    handleUpdate: handlePlaybackDeviceUpdate,
+    powerOn: deviceId => setMediaPower(deviceId, true),
+    powerOff: deviceId => setMediaPower(deviceId, false),
+    actions: {
+        'volume up': MEDIA_ACTIONS['volume up'],
+        'volume down': MEDIA_ACTIONS['volume down'],
+        'mute': handleDeviceMuteToggle
+    }
+});
+
+registerDeviceType('light', {
+    domain: 'light',
+    family: 'light',
+    virtualDeviceType: 'Light',
+    readState: getCurrentBrightnessAndUpdate,
+    applyState: updateBrightnessFromState,
+    handleUpdate: handleLightDeviceUpdate,
+    powerOn: deviceId => setLightPower(deviceId, true),
+    powerOff: deviceId => setLightPower(deviceId, false),
+    applyProfile: applyLightProfile,
+    actions: LIGHT_ACTIONS,
+    parameterizedActions: {
+        'brightness': PARAMETERIZED_ACTIONS.brightness,
+        'kelvin': PARAMETERIZED_ACTIONS.kelvin
+    },
+    discovery: {
+        category: 'lights',
+        matches: stateData => !hasColorModes(stateData)
+    }
+});
+
+registerDeviceType('color_light', {
+    domain: 'light',
+    family: 'light',
+    virtualDeviceType: 'Light',
+    readState: getCurrentBrightnessAndUpdate,
+    applyState: updateBrightnessFromState,
+    handleUpdate: handleLightDeviceUpdate,
+    powerOn: deviceId => setLightPower(deviceId, true),
+    powerOff: deviceId => setLightPower(deviceId, false),
+    applyProfile: applyLightProfile,
+    actions: LIGHT_ACTIONS,
+    parameterizedActions: {
+        'brightness': PARAMETERIZED_ACTIONS.brightness,
+        'kelvin': PARAMETERIZED_ACTIONS.kelvin,
+        'color': PARAMETERIZED_ACTIONS.color
+    },
+    discovery: {
+        category: 'lights',
+        matches: hasColorModes
+    }
+});
+
+registerDeviceType('climate', {
+    domain: 'climate',
+    family: 'climate',
+    virtualDeviceType: 'Blind',
+    readState: getCurrentTemperatureAndUpdate,
+    applyState: updateTemperatureFromState,
+    handleUpdate: handleClimateDeviceUpdate,
+    // For climate devices, use HVAC mode instead of power
+    powerOn: deviceId => setClimateMode(deviceId, 'auto'),
+    powerOff: deviceId => setClimateMode(deviceId, 'off'),
+    applyProfile: applyClimateProfile,
+    actions: CLIMATE_ACTIONS,
+    parameterizedActions: {
+        'temp': PARAMETERIZED_ACTIONS.temp,
+        'low': {
+            usage: 'low <degrees>[c|f]',
+            parse: parseTemperatureArg,
+            handler: (deviceId, temperature) => setClimateTemperature(deviceId, temperature, 'low')
+        },
+        'high': {
+            usage: 'high <degrees>[c|f]',
+            parse: parseTemperatureArg,
+            handler: (deviceId, temperature) => setClimateTemperature(deviceId, temperature, 'high')
+        },
+        'preset': {
+            usage: 'preset <mode>|next|prev',
+            parse: parseNameArg,
+            handler: handleDeviceClimateSetPreset
+        }
+    },
+    // Limits (min_temp, max_temp, target_temp_step) are read from the entity on every state update
+    discovery: { category: 'climate' }
+});
+
+registerDeviceType('blind', {
+    domain: 'cover',
+    family: 'blind',
+    virtualDeviceType: 'Blind',
+    readState: getCurrentBlindPositionAndUpdate,
+    applyState: updateBlindPositionFromState,
+    handleUpdate: handleBlindDeviceUpdate,
+    // For blind devices, open/close instead of power
+    powerOn: setBlindOpen,
+    powerOff: setBlindClose,
+    actions: BLIND_ACTIONS,
+    parameterizedActions: {
+        'position': PARAMETERIZED_ACTIONS.position,
+        'tilt': {
+            usage: 'tilt <0-100>[%]|open|close|stop',
+            parse: parsePercentageArg,
+            handler: setBlindTiltPosition
+        }
+    },
+    discovery: { category: 'blinds' }
+});
+
+registerDeviceType('fan', {
+    domain: 'fan',
+    family: 'fan',
+    virtualDeviceType: 'Speaker',
+    readState: getCurrentFanSpeedAndUpdate,
+    applyState: updateFanSpeedFromState,
+    handleUpdate: handleFanDeviceUpdate,
+    powerOn: deviceId => setFanPower(deviceId, true),
+    powerOff: deviceId => setFanPower(deviceId, false),
+    applyProfile: applyFanProfile,
+    actions: FAN_ACTIONS,
+    parameterizedActions: {
+        'speed': {
+            usage: 'speed <0-100>[%]',
+            parse: parsePercentageArg,
+            handler: setFanPercentage
+        },
+        'preset': {
+            usage: 'preset <mode>|next',
+            parse: parseNameArg,
+            handler: handleDeviceFanSetPreset
+        }
+    },
+    discovery: { category: 'fans' }
+});
+
+// Switch-like types share everything except their domain and discovery
+const SWITCH_TYPE = {
+    family: 'switch',
+    virtualDeviceType: 'Light',
+    readState: getCurrentSwitchStateAndUpdate,
+    applyState: updateSwitchFromState,
+    handleUpdate: handleSwitchDeviceUpdate,
+    powerOn: deviceId => setSwitchPower(deviceId, true),
+    powerOff: deviceId => setSwitchPower(deviceId, false)
+};
+
+registerDeviceType('switch', {
+    ...SWITCH_TYPE,
+    domain: 'switch',
+    discovery: {
+        category: 'switches',
+        matches: stateData => stateData.attributes.device_class !== 'outlet'
+    }
+});
+
+registerDeviceType('plug', {
+    ...SWITCH_TYPE,
+    domain: 'switch',
+    discovery: {
+        category: 'switches',
+        matches: stateData => stateData.attributes.device_class === 'outlet'
+    }
+});
+
+registerDeviceType('input_boolean', {
+    ...SWITCH_TYPE,
+    domain: 'input_boolean',
+    discovery: { category: 'switches' }
+});
+
+// Scenes, scripts and automations are stateless action targets without a virtual device
+registerDeviceType('scene', {
+    domain: 'scene',
+    virtualDeviceType: null,
+    actions: {
+        'activate': activateScene
+    },
+    discovery: { category: 'scenes' }
+});
+
+registerDeviceType('script', {
+    domain: 'script',
+    virtualDeviceType: null,
+    actions: {
+        'run': deviceId => runScript(deviceId)
+    },
+    parameterizedActions: {
+        'run': {
+            usage: 'run key=value [key=value ...]',
+            preserveCase: true,
+            parse: parseVariablesArg,
+            handler: runScript
+        }
+    },
+    discovery: { category: 'scenes' }
+});
+
+registerDeviceType('automation', {
+    domain: 'automation',
+    virtualDeviceType: null,
+    actions: {
+        'trigger': triggerAutomation
+    },
+    discovery: { category: 'scenes' }
+});
+
+// Selectors drive one of several devices from a single Twist, and show that device's state
+registerDeviceType('selector', {
+    resolveVirtualDeviceType: selector => {
+        const targets = getSelectorTargets(selector);
+        return targets.length > 0 ? getVirtualDeviceType(targets[0]) : null;
+    },
+    readState: syncSelectorState,
+    handleUpdate: handleSelectorDeviceUpdate,
+    // Actions other than the selector's own go to the current target
+    forwardAction: forwardSelectorAction,
+    // Plain "next"/"prev" are forwarded too, so a media target still skips tracks
+    actions: {
+        'selector next': deviceId => cycleSelectorTarget(deviceId, 1),
+        'selector prev': deviceId => cycleSelectorTarget(deviceId, -1)
+    },
+    parameterizedActions: {
+        'select': {
+            usage: 'select <device-id>',
+            parse: parseNameArg,
+            handler: handleSelectorSelect
+        }
+    }
+});
+
+// ============================================================================
+// PLAYBACK GESTURES
+// ============================================================================
+
+// Twists in progress on playback devices: deviceId -> { peak, timer }
+const pendingTwistGestures = new Map();
+
+// Commands a playback Twist gesture can be mapped to in HA_CONFIG.gestureProfiles
+const PLAYBACK_GESTURES = {
+    'none': async () => {},
+    'play': deviceId => setMediaPlay(deviceId),
+    'pause': deviceId => setMediaPause(deviceId),
+    'play_pause': handleDevicePlayPause,
+    'play_or_next': handleDevicePlayOrNext,
+    'next': deviceId => setMediaNextTrack(deviceId),
+    'previous': deviceId => setMediaPreviousTrack(deviceId),
+    'seek_forward': (deviceId, profile) => seekMediaBy(deviceId, profile.seekSeconds),
+    'seek_back': (deviceId, profile) => seekMediaBy(deviceId, -profile.seekSeconds),
+    'mute': handleDeviceMuteToggle
+};
+
+/**
+ * Resolve the gesture profile of a playback device
+ * @param {Object} device - Device configuration
+ * @returns {Object} - Profile with every setting filled in from the default profile
+ */
+function getGestureProfile(device) {
+    const profiles = HA_CONFIG.gestureProfiles;
+    let profile = device.gestureProfile || 'default';
+    
+    if (typeof profile === 'string') {
+        if (!profiles[profile]) {
+            console.log(`⚠️ Unknown gesture profile "${profile}" for ${device.name}, using default`);
+        }
+        profile = profiles[profile] || {};
+    }
+    
+    return { ...profiles.default, ...profile };
+}
+
+/**
+ * Pick the gesture for a twist away from the center position
+ * @param {Object} profile - Gesture profile
+ * @param {number} offset - Twist offset from center (-0.5 to 0.5)
+ * @returns {string|null} - Gesture name, or null if the twist is below the threshold
+ */
+function getTwistGesture(profile, offset) {
+    const distance = Math.abs(offset);
+    if (distance <= profile.threshold) {
+        return null;
+    }
+    
+    // Large twists fall back to the small twist gesture when the profile doesn't set one
+    if (offset < 0) {
+        return (distance >= profile.largeThreshold && profile.largeLeft) || profile.left;
+    }
+    return (distance >= profile.largeThreshold && profile.largeRight) || profile.right;
+}
+
+/**
+ * Run a gesture command for a playback device
+ * @param {string} deviceId - Device identifier
+ * @param {string} gesture - Gesture name from PLAYBACK_GESTURES
+ * @param {Object} profile - Gesture profile
+ */
+async function runPlaybackGesture(deviceId, gesture, profile) {
+    const command = PLAYBACK_GESTURES[gesture];
+    if (!command) {
+        console.error(`❌ Unknown playback gesture "${gesture}" - available: ${Object.keys(PLAYBACK_GESTURES).join(', ')}`);
+        return;
+    }
+    
+    await command(deviceId, profile);
+}
+
+/**
+ * Play if paused/idle, skip to the next track if already playing
+ */
+async function handleDevicePlayOrNext(deviceId) {
+    const currentState = await getMediaPlaybackState(deviceId);
+    //console.log(`📊 Current playback state: ${currentState}`);
+    
+    if (currentState === 'playing') {
+        // If playing, skip to next track
+        await setMediaNextTrack(deviceId);
+    } else {
+        // If paused, resume playback; for other states (idle, off, etc.), try to start playback
+        await setMediaPlay(deviceId);
+    }
+}
+
+/**
+ * Pause if playing, play otherwise
+ */
+async function handleDevicePlayPause(deviceId) {
+    const currentState = await getMediaPlaybackState(deviceId);
+    
+    if (currentState === 'playing') {
+        await setMediaPause(deviceId);
+    } else {
+        await setMediaPlay(deviceId);
+    }
+}
+
+/**
+ * Seek relative to the current playback position
+ * @param {string} deviceId - Device identifier
+ * @param {number} seconds - Seconds to seek (negative seeks back)
+ */
+async function seekMediaBy(deviceId, seconds) {
+    const device = findDevice(deviceId);
+    if (!device) throw new Error(`Device ${deviceId} not found`);
+    
+    const stateData = await getDeviceState(device);
+    const attributes = stateData.attributes;
+    if (typeof attributes.media_position !== 'number') {
+        console.log(`${device.name} doesn't report a playback position, can't seek`);
+        return;
+    }
+    
+    // media_position is only updated on changes, so add the time played since media_position_updated_at
+    let position = attributes.media_position;
+    if (stateData.state === 'playing' && attributes.media_position_updated_at) {
+        position += (Date.now() - Date.parse(attributes.media_position_updated_at)) / 1000;
+    }
+    
+    const maxPosition = typeof attributes.media_duration === 'number' ? attributes.media_duration : Infinity;
+    await setMediaSeek(deviceId, Math.max(0, Math.min(maxPosition, position + seconds)));
+}
+
+// ============================================================================
+// DEVICE UPDATE HANDLERS
+// ============================================================================
+
+/**
+ * Handle media device updates for volume control
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist
+ */
+/**
+ * Handle playback device updates for playback control
+ * 
+ * The Twist reports its position several times during one turn, so the gesture isn't picked
+ * from the first update past the threshold. The furthest point from the center is recorded
+ * instead, and the gesture runs once the Twist has rested for the profile's settleTime.
+ */
+async function handlePlaybackDeviceUpdate(deviceId, values) {
+    const device = findDevice(deviceId);
+    if (!device || device.type !== 'playback' || values.volume === undefined) {
+        return;
+    }
+    
+    const profile = getGestureProfile(device);
+    const volumeChange = values.volume - 0.5; // 0.5 is the center position
+    
+    let pending = pendingTwistGestures.get(deviceId);
+    if (!pending) {
+        pending = { peak: 0, timer: null };
+        pendingTwistGestures.set(deviceId, pending);
+    }
+    
+    if (Math.abs(volumeChange) > Math.abs(pending.peak)) {
+        pending.peak = volumeChange;
+    }
+    
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => finishPlaybackGesture(deviceId), profile.settleTime);
+}
+
+/**
+ * Run the gesture of a finished twist and move the playback device back to the center
+ * @param {string} deviceId - Device identifier
+ */
+async function finishPlaybackGesture(deviceId) {
+    const pending = pendingTwistGestures.get(deviceId);
+    pendingTwistGestures.delete(deviceId);
+    
+    const device = findDevice(deviceId);
+    if (!device || !pending) {
+        return;
+    }
+    
+    const profile = getGestureProfile(device);
+    const gesture = getTwistGesture(profile, pending.peak); // null below the threshold
+    
+    // Reset playback device to center position
+    resetPlaybackDevice(device);
+    
+    if (!gesture) {
+        return;
+    }
+    
+    // Check cooldown
+    const remainingCooldown = getRemainingCooldown(device, 'playback');
+    if (remainingCooldown > 0) {
+        //console.log(`⏳ Playback command ignored - cooldown active (${Math.ceil(remainingCooldown / 1000)}s remaining)`);
+        return;
+    }
+    
+    // Start the cooldown before sending, so twists while the command is in flight are ignored too
+    startCooldown(device, 'playback');
+    
+    // Playback control based on twist direction and size
+    try {
+        await runPlaybackGesture(deviceId, gesture, profile);
+    } catch (error) {
+        console.error(`❌ Error executing playback command for ${device.name}:`, error);
+    }
+}
+
+async function handleMediaDeviceUpdate(deviceId, values) {
+    const device = findDevice(deviceId);
+    if (!device) {
+        return;
+    }
+    
+    if (values.volume !== undefined) {
+        // Check cooldown
+        const remainingCooldown = getRemainingCooldown(device, 'volume');
+        
+        if (remainingCooldown > 0) {
+            //console.log(`⏳ Volume change ignored - cooldown active (${Math.ceil(remainingCooldown / 1000)}s remaining)`);
+            
+            // The Twist already shows the rejected volume, so move it back to the real one
+            // (unless an earlier change is still on its way, which will set it anyway)
+            if (!hasPendingUpdate(deviceId)) {
+                getCurrentVolumeAndUpdate(device);
+            }
+            return;
+        }
+        
+        startCooldown(device, 'volume');
+        
+        // The Twist can't go past the volume cap - it snaps back to the cap right away
+        const cap = getVolumeCap(device);
+        const volumePercentage = Math.round(accelerateTwistValue(device, 'volume', values.volume, 100, cap / 100) * 100);
+        
+        // Debounce volume changes to prevent API flooding, but immediately update virtual device
+        debouncedDeviceUpdate(
+            deviceId, 
+            'volume', 
+            volumePercentage, 
+            // Debounced function - calls HA after delay
+            async (finalVolume) => {
+                try {
+                    await setMediaVolume(deviceId, finalVolume);
+                } catch (error) {
+                    console.error(`❌ Failed to update media device ${deviceId}:`, error);
+                    throw error;
+                }
+            },
+            // Immediate state update - updates virtual device instantly
+            (expectedVolume) => {
+                updateVirtualDeviceState('Speaker', deviceId, {
+                    volume: expectedVolume / 100
+                });
+            }
+        );
+    }
+}
+
+/**
+ * Handle light device updates from Flic Twist controllers (with debouncing)
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist (brightness, hue, saturation, colorTemperature: all 0-1)
+ */
+async function handleLightDeviceUpdate(deviceId, values) {
+    const device = findDevice(deviceId);
+    if (!device) return;
+    
+    // Handle brightness changes with debouncing
+    if (values.brightness !== undefined) {
+        const brightness = Math.round(accelerateTwistValue(device, 'brightness', values.brightness, 255) * 255);
+        
+        if (brightness === 0) {
+            // Immediate power off - don't debounce this
+            try {
+                await setLightPower(deviceId, false);
+                recordUpdateSuccess(deviceId);
+            } catch (error) {
+                console.error(`❌ Failed to turn off light ${deviceId}:`, error);
+                recordUpdateFailure(deviceId);
+                await rollBackTwistState(deviceId);
+            }
+            return; // Exit early if turning off
+        } else {
+            // Debounce brightness changes but immediately update virtual device state
+            debouncedDeviceUpdate(
+                deviceId, 
+                'brightness', 
+                brightness,
+                // Debounced function - calls HA after delay  
+                async (finalBrightness) => {
+                    try {
+                        await setLightBrightness(deviceId, finalBrightness);
+                    } catch (error) {
+                        console.error(`❌ Failed to set brightness for ${deviceId}:`, error);
+                        throw error;
+                    }
+                },
+                // Immediate state update - updates virtual device instantly
+                (expectedBrightness) => {
+                    // Get current virtual device state to preserve other properties
+                    const currentState = {
+                        brightness: expectedBrightness / 255,
+                        hue: values.hue || 0,
+                        saturation: values.saturation || 0,
+                        colorTemperature: values.colorTemperature || 0.5
+                    };
+                    updateVirtualDeviceState('Light', deviceId, currentState);
+                }
+            );
+        }
+    }
+    
+    // Handle color changes (for color_light devices) with debouncing
+    if (device.type === 'color_light') {
+        // Store the current values for debounced update
+        const colorUpdate = {
+            hue: values.hue,
+            saturation: values.saturation,
+            colorTemperature: values.colorTemperature
+        };
+        
+        // Debounce color changes (hue and saturation together)
+        if (values.hue !== undefined || values.saturation !== undefined) {
+            debouncedDeviceUpdate(deviceId, 'color', colorUpdate, async (finalColorUpdate) => {
+                try {
+                    await applyColorUpdate(deviceId, finalColorUpdate);
+                } catch (error) {
+                    console.error(`❌ Failed to update color for ${deviceId}:`, error);
+                    throw error;
+                }
+            });
+        }
+        
+    }
+    
+    // Debounce color temperature changes separately (any light whose entity supports color_temp)
+    if (values.colorTemperature !== undefined) {
+        debouncedDeviceUpdate(deviceId, 'colortemp', values.colorTemperature, async (finalColorTemp) => {
+            try {
+                await applyColorTemperatureUpdate(deviceId, finalColorTemp);
+            } catch (error) {
+                console.error(`❌ Failed to update color temperature for ${deviceId}:`, error);
+                throw error;
+            }
+        });
+    }
+}
+
+/**
+ * Apply color update to Home Assistant (used by debouncer) with color memory
+ * @param {string} deviceId - Device identifier
+ * @param {Object} colorUpdate - Color update data {hue, saturation}
+ */
+async function applyColorUpdate(deviceId, colorUpdate) {
+    const device = findDevice(deviceId);
+    if (!device || device.type !== 'color_light') return;
+    
+    // Get current state to preserve existing color values
+    const currentState = await getDeviceState(device);
+    let currentHue = 0;    // Default fallback
+    let currentSat = 100;  // Default fallback (full saturation, not white)
+    
+    if (currentState.attributes.hs_color) {
+        [currentHue, currentSat] = currentState.attributes.hs_color;
+        // Remember current color if it's meaningful
+        rememberColor(deviceId, currentHue, currentSat);
+    }
+    
+    // Start with current color values, then update what changed
+    let finalHue = currentHue;
+    let finalSat = currentSat;
+    
+    // Handle hue changes
+    if (colorUpdate.hue !== undefined) {
+        finalHue = Math.round(colorUpdate.hue * 360);
+
+    }
+    
+    // Handle saturation changes with color memory logic
+    if (colorUpdate.saturation !== undefined) {
+        const newSat = Math.round(colorUpdate.saturation * 100);
+        
+        // Special case: if current saturation is essentially white and we're increasing to meaningful saturation
+        if (currentSat <= MEANINGFUL_SATURATION_THRESHOLD && newSat > MEANINGFUL_SATURATION_THRESHOLD) {
+            // Use remembered hue instead of current hue (which might be meaningless)
+            const remembered = getRememberedColor(deviceId, finalHue, newSat);
+            if (colorUpdate.hue === undefined) { // Only use remembered hue if hue wasn't explicitly changed
+                finalHue = remembered.hue;
+                //console.log(`🎨 Restoring from white: using remembered hue ${finalHue}° instead of current ${currentHue}° (current sat ${currentSat}% <= ${MEANINGFUL_SATURATION_THRESHOLD}%)`);
+            }
+        }
+        
+        finalSat = newSat;
+
+    }
+    
+    // Remember the final color if it's meaningful
+    // rememberColor() function will check if saturation is meaningful
+    rememberColor(deviceId, finalHue, finalSat);
+    
+    // Send the color in a format the light supports (hs, rgb, xy, rgbww or rgbw)
+    const colorData = buildColorPayload(
+        (await getDeviceCapabilities(device)).colorModes,
+        hsvToRgb(finalHue / 360, finalSat / 100, 1),
+        [finalHue, finalSat]
+    );
+    if (!colorData) {
+        throw createUnsupportedError(device, 'colors');
+    }
+    
+    await callHAService('light', 'turn_on', {
+        entity_id: getDeviceEntityTarget(device),
+        ...colorData
+    });
+    
+    //console.log(`✅ ${device.name} color updated (debounced)`);
+    
+    // Wait a moment for Home Assistant to update the state
+    await new Promise(resolve => setTimeout(resolve, 100));
+    // Update virtual device state to reflect changes
+    await getCurrentBrightnessAndUpdate(device);
+}
+
+/**
+ * Apply color temperature update to Home Assistant (used by debouncer)
+ * @param {string} deviceId - Device identifier
+ * @param {number} colorTemperature - Color temperature (0-1)
+ */
+async function applyColorTemperatureUpdate(deviceId, colorTemperature) {
+    const device = findDeviceOfFamily(deviceId, 'light');
+    if (!device) return;
+    
+    // Lights without color temperature support ignore the Twist's color temperature
+    const range = await getColorTempRange(device);
+    if (!range) return;
+    
+    // Convert 0-1 to the light's own range (0 = coolest, 1 = warmest)
+    await callHAService('light', 'turn_on', {
+        entity_id: getDeviceEntityTarget(device),
+        color_temp_kelvin: colorTempPositionToKelvin(colorTemperature, range)
+    });
+    
+    //console.log(`✅ ${device.name} color temperature updated (debounced)`);
+    
+    // Wait a moment for Home Assistant to update the state
+    await new Promise(resolve => setTimeout(resolve, 100));
+    // Update virtual device state to reflect changes
+    await getCurrentBrightnessAndUpdate(device);
+}
+
+/**
+ * Handle climate device updates from Flic Twist controllers  
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist (position: 0-1 mapped to temperature)
+ */
+async function handleClimateDeviceUpdate(deviceId, values) {
+    if (values.position !== undefined) {
+        const device = findDevice(deviceId);
+        if (!device) return;
+        
+        // Use the entity's limits, narrowed by the device's tempRange
+        const tempRange = getClimateLimits(device);
+        
+        // Convert position (0-1) to temperature range
+        const steps = Math.max(1, Math.round((tempRange.max - tempRange.min) / tempRange.step));
+        const position = accelerateTwistValue(device, 'temperature', values.position, steps);
+        const temperature = tempRange.min + (position * (tempRange.max - tempRange.min));
+        const roundedTemp = normalizeClimateTemperature(device, temperature); // Round to the entity's step
+        
+        // Debounce temperature changes but immediately update virtual device state
+        debouncedDeviceUpdate(
+            deviceId, 
+            'temperature', 
+            roundedTemp,
+            // Debounced function - calls HA after delay
+            async (finalTemp) => {
+                try {
+                    await setClimateTemperature(deviceId, finalTemp);
+                } catch (error) {
+                    console.error(`❌ Failed to update climate device ${deviceId}:`, error);
+                    throw error;
+                }
+            },
+            // Immediate state update - updates virtual device instantly
+            (expectedTemp) => {
+                const normalizedTemp = (expectedTemp - tempRange.min) / (tempRange.max - tempRange.min);
+                updateVirtualDeviceState('Blind', deviceId, {
+                    position: Math.max(0, Math.min(1, normalizedTemp))
+                });
+            }
+        );
+    }
+}
+
+/**
+ * Handle blind device updates from Flic Twist controllers
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist (position: 0-1 mapped to blind position)
+ */
+async function handleBlindDeviceUpdate(deviceId, values) {
+    if (values.position !== undefined) {
+        const device = findDevice(deviceId);
+        if (!device) return;
+        
+        // With twistMode 'tilt' the Twist controls the slat angle instead of the position
+        const controlsTilt = device.twistMode === 'tilt';
+        
+        // Convert position from 0-1 to 0-100 percentage for Home Assistant
+        const blindPosition = Math.round(accelerateTwistValue(device, controlsTilt ? 'tilt' : 'position', values.position, 100) * 100);
+        
+        // Debounce blind position changes but immediately update virtual device state
+        debouncedDeviceUpdate(
+            deviceId, 
+            controlsTilt ? 'tilt' : 'position', 
+            blindPosition,
+            // Debounced function - calls HA after delay
+            async (finalPosition) => {
+                try {
+                    if (controlsTilt) {
+                        await setBlindTiltPosition(deviceId, finalPosition);
+                    } else {
+                        await setBlindPosition(deviceId, finalPosition);
+                    }
+                } catch (error) {
+                    console.error(`❌ Failed to update blind device ${deviceId}:`, error);
+                    throw error;
+                }
+            },
+            // Immediate state update - updates virtual device instantly
+            (expectedPosition) => {
+                updateVirtualDeviceState('Blind', deviceId, {
+                    position: expectedPosition / 100
+                });
+            }
+        );
+    }
+}
+
+/**
+ * Handle fan device updates from Flic Twist controllers
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist (volume: 0-1 mapped to speed percentage)
+ */
+async function handleFanDeviceUpdate(deviceId, values) {
+    if (values.volume !== undefined) {
+        const percentage = Math.round(values.volume * 100);
+        
+        if (percentage === 0) {
+            // Immediate power off - don't debounce this
+            try {
+                await setFanPower(deviceId, false);
+                recordUpdateSuccess(deviceId);
+            } catch (error) {
+                console.error(`❌ Failed to turn off fan ${deviceId}:`, error);
+                recordUpdateFailure(deviceId);
+                await rollBackTwistState(deviceId);
+            }
+            return;
+        }
+        
+        // Debounce speed changes but immediately update virtual device state
+        debouncedDeviceUpdate(
+            deviceId, 
+            'speed', 
+            percentage,
+            // Debounced function - calls HA after delay
+            async (finalPercentage) => {
+                try {
+                    await setFanPercentage(deviceId, finalPercentage);
+                } catch (error) {
+                    console.error(`❌ Failed to update fan device ${deviceId}:`, error);
+                    throw error;
+                }
+            },
+            // Immediate state update - updates virtual device instantly
+            (expectedPercentage) => {
+                updateVirtualDeviceState('Speaker', deviceId, {
+                    volume: expectedPercentage / 100
+                });
+            }
+        );
+    }
+}
+
+/**
+ * Handle switch device updates from Flic Twist controllers
+ * @param {string} deviceId - Virtual device ID
+ * @param {Object} values - Values from Flic Twist (brightness: 0 = off, anything above = on)
+ */
+async function handleSwitchDeviceUpdate(deviceId, values) {
+    if (values.brightness !== undefined) {
+        const powerOn = values.brightness > 0;
+        
+        debouncedDeviceUpdate(
+            deviceId,
+            'power',
+            powerOn,
+            // Debounced function - calls HA after delay
+            async (finalPowerOn) => {
+                try {
+                    await setSwitchPower(deviceId, finalPowerOn);
+                } catch (error) {
+                    console.error(`❌ Failed to switch ${deviceId}:`, error);
+                    throw error;
+                }
+            },
+            // Immediate state update - a switch is either fully on or off
+            (expectedPowerOn) => {
+                updateVirtualDeviceState('Light', deviceId, {
+                    brightness: expectedPowerOn ? 1 : 0,
+                    hue: 0,
+                    saturation: 0
+                });
+            }
+        );
+    }
+}
+
+// ============================================================================
+// VIRTUAL DEVICE STATE MANAGEMENT
+// ============================================================================
+
+/**
+ * Update a virtual device's state, and that of any selector currently controlling the device
+ * @param {string} virtualDeviceType - Flic virtual device type ('Speaker', 'Light', 'Blind')
+ * @param {string} deviceId - Device identifier
+ * @param {Object} state - New state values
+ */
+function updateVirtualDeviceState(virtualDeviceType, deviceId, state) {
+    flicApp.virtualDeviceUpdateState(virtualDeviceType, deviceId, state);
+    
+    (HA_CONFIG.devices.selectors || []).forEach(selector => {
+        const target = getSelectedTarget(selector);
+        if (target && target.id === deviceId) {
+            flicApp.virtualDeviceUpdateState(virtualDeviceType, selector.id, state);
+        }
+    });
+}
+
+/**
+ * Get current volume from Home Assistant device and update virtual device state
+ * @param {Object} device - Device configuration
+ * @returns {Promise<number>} - Current volume percentage
+ */
+async function getCurrentVolumeAndUpdate(device) {
+    try {
+        const stateData = await getDeviceState(device);
+        return updateVolumeFromState(device, stateData);
+    } catch (error) {
+        console.error(`❌ Error getting current volume for ${device.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Update Speaker virtual device state from a media_player entity state
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ * @returns {number|null} - Current volume percentage (null if the player reports no volume)
+ */
+function updateVolumeFromState(device, stateData) {
+    // Players that are off usually don't report a volume level at all
+    if (stateData.attributes.volume_level === undefined) {
+        return null;
+    }
+    
+    const currentVolume = stateData.attributes.volume_level * 100; // Convert to percentage
+    
+    // Update virtual device state
+    updateVirtualDeviceState('Speaker', device.id, {
+        volume: currentVolume / 100
+    });
+    
+    return currentVolume;
+}
+
+/**
+ * Get current brightness from Home Assistant light device and update virtual device state
+ * @param {Object} device - Device configuration
+ * @returns {Promise<number>} - Current brightness (0-255)
+ */
+async function getCurrentBrightnessAndUpdate(device) {
+    try {
+        const stateData = await getDeviceState(device);
+        return updateBrightnessFromState(device, stateData);
+    } catch (error) {
+        console.error(`❌ Error getting current brightness for ${device.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Update Light virtual device state from a light entity state
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ * @returns {number} - Current brightness (0-255)
+ */
+function updateBrightnessFromState(device, stateData) {
+    let brightness = 0;
+    if (stateData.state === 'on' && stateData.attributes.brightness !== undefined) {
+        brightness = stateData.attributes.brightness; // 0-255
+    }
+    
+    // Prepare state update for Light virtual device with all required properties
+    const lightState = {
+        brightness: Math.max(0, Math.min(1, brightness / 255)) // Ensure 0-1 range
+    };
+    
+    // Handle color information based on device type
+    if (device.type === 'color_light') {
+
+        
+        // Handle hue and saturation from HS color
+        if (stateData.attributes.hs_color) {
+            const [hue, saturation] = stateData.attributes.hs_color;
+            lightState.hue = Math.max(0, Math.min(1, hue / 360)); // Convert 0-360 to 0-1
+            lightState.saturation = Math.max(0, Math.min(1, saturation / 100)); // Convert 0-100 to 0-1
+            // Remember this color if it's meaningful
+            rememberColor(device.id, hue, saturation);
+        } else if (stateData.attributes.rgb_color) {
+            // Convert RGB to HSV if HS not available
+            const [r, g, b] = stateData.attributes.rgb_color;
+            const hsv = rgbToHsv(r, g, b);
+            lightState.hue = hsv.h;
+            lightState.saturation = hsv.s;
+            // Remember this color if it's meaningful
+            const hue360 = hsv.h * 360;
+            const sat100 = hsv.s * 100;
+            rememberColor(device.id, hue360, sat100);
+        } else {
+            // No color information available - use neutral defaults
+            // For color lights without color data, use white (like a regular light)
+            lightState.hue = 0.0;        // Red hue
+            lightState.saturation = 0.0;  // No saturation = white light
+
+        }
+        
+    } else {
+        // Regular lights - use white light defaults
+        lightState.hue = 0.0;        // Red hue (but with 0 saturation = white)
+        lightState.saturation = 0.0;  // No saturation = white light
+    }
+    
+    // Handle color temperature (color lights and plain lights that support color_temp)
+    const colorTempRange = rememberColorTempRange(device, stateData.attributes);
+    if (colorTempRange) {
+        const kelvin = stateData.attributes.color_temp_kelvin ||
+            (stateData.attributes.color_temp && 1000000 / stateData.attributes.color_temp);
+        // Without a current value (e.g. light off or in a color mode), use the middle of the range
+        lightState.colorTemperature = kelvin ? kelvinToColorTempPosition(kelvin, colorTempRange) : 0.5;
+    }
+    
+    // Update virtual device state with all required properties
+    updateVirtualDeviceState('Light', device.id, lightState);
+    
+    return brightness;
+}
+
+/**
+ * Get current temperature from Home Assistant climate device and update virtual device state
+ * @param {Object} device - Device configuration  
+ * @returns {Promise<number>} - Current target temperature in Home Assistant's unit
+ */
+async function getCurrentTemperatureAndUpdate(device) {
+    try {
+        const stateData = await getDeviceState(device);
+        return updateTemperatureFromState(device, stateData);
+    } catch (error) {
+        console.error(`❌ Error getting current temperature for ${device.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Update Blind virtual device state from a climate entity state
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ * @returns {number} - Current target temperature in Home Assistant's unit (of the setpoint the device controls)
+ */
+function updateTemperatureFromState(device, stateData) {
+    rememberClimateLimits(device, stateData.attributes);
+    
+    // Get current target temperature (temperature, target_temp_low or target_temp_high)
+    const setpointAttribute = CLIMATE_SETPOINTS[getClimateSetpoint(device)] || 'temperature';
+    const targetTemp = stateData.attributes[setpointAttribute] || getTemperatureUnitDefaults().default; // 20°C or 68°F
+    
+    // Use the entity's limits, narrowed by the device's tempRange
+    const tempRange = getClimateLimits(device);
+    
+    // Convert temperature to 0-1 range for virtual device
+    const normalizedTemp = (targetTemp - tempRange.min) / (tempRange.max - tempRange.min);
+    
+    // Update virtual device state (Blind uses 0-1 range for position)
+    updateVirtualDeviceState('Blind', device.id, {
+        position: Math.max(0, Math.min(1, normalizedTemp))
+    });
+    
+    return targetTemp;
+}
+
+/**
+ * Get current position from Home Assistant blind/cover device and update virtual device state
+ * @param {Object} device - Device configuration
+ * @returns {Promise<number>} - Current position percentage (0-100)
+ */
+async function getCurrentBlindPositionAndUpdate(device) {
+    try {
+        const stateData = await getDeviceState(device);
+        return updateBlindPositionFromState(device, stateData);
+    } catch (error) {
+        console.error(`❌ Error getting current position for ${device.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Update Blind virtual device state from a cover entity state
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ * @returns {number} - Current position percentage (0-100), the tilt for devices with twistMode 'tilt'
+ */
+function updateBlindPositionFromState(device, stateData) {
+    // Get current position (0-100 percentage)
+    let position = 0;
+    if (device.twistMode === 'tilt') {
+        // Tilt devices show the slat angle
+        position = stateData.attributes.current_tilt_position || 0;
+    } else if (stateData.attributes.current_position !== undefined) {
+        position = stateData.attributes.current_position;
+    } else if (stateData.state === 'open') {
+        position = 100;
+    } else if (stateData.state === 'closed') {
+        position = 0;
+    }
+    
+    // Update virtual device state (Blind uses 0-1 range for position)
+    updateVirtualDeviceState('Blind', device.id, {
+        position: position / 100
+    });
+    
+    return position;
+}
+
+/**
+ * Get current speed from Home Assistant fan device and update virtual device state
+ * @param {Object} device - Device configuration
+ * @returns {Promise<number>} - Current speed percentage (0-100)
+ */
+async function getCurrentFanSpeedAndUpdate(device) {
+    try {
+        const stateData = await getDeviceState(device);
+        return updateFanSpeedFromState(device, stateData);
+    } catch (error) {
+        console.error(`❌ Error getting current speed for ${device.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Update Speaker virtual device state from a fan entity state
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ * @returns {number} - Current speed percentage (0-100)
+ */
+function updateFanSpeedFromState(device, stateData) {
+    // Fans without speed control report no percentage - show them as full speed while on
+    let percentage = 0;
+    if (stateData.state === 'on') {
+        percentage = stateData.attributes.percentage !== undefined && stateData.attributes.percentage !== null
+            ? stateData.attributes.percentage
+            : 100;
+    }
+    
+    // Update virtual device state (Speaker uses 0-1 range for volume)
+    updateVirtualDeviceState('Speaker', device.id, {
+        volume: percentage / 100
+    });
+    
+    return percentage;
+}
+
+/**
+ * Get current on/off state from Home Assistant switch device and update virtual device state
+ * @param {Object} device - Device configuration
+ * @returns {Promise<boolean>} - True if the switch is on
+ */
+async function getCurrentSwitchStateAndUpdate(device) {
+    try {
+        const stateData = await getDeviceState(device);
+        return updateSwitchFromState(device, stateData);
+    } catch (error) {
+        console.error(`❌ Error getting current state for ${device.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Update Light virtual device state from a switch/input_boolean entity state
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ * @returns {boolean} - True if the switch is on
+ */
+function updateSwitchFromState(device, stateData) {
+    const isOn = stateData.state === 'on';
+    
+    updateVirtualDeviceState('Light', device.id, {
+        brightness: isOn ? 1 : 0,
+        hue: 0,
+        saturation: 0
+    });
+    
+    return isOn;
+}
+
+/**
+ * Push an entity state (from REST or WebSocket) into a device's virtual device
+ * @param {Object} device - Device configuration
+ * @param {Object} stateData - Entity state from Home Assistant
+ */
+function applyEntityStateToDevice(device, stateData) {
+    const deviceType = getDeviceType(device);
+    if (deviceType && deviceType.applyState) {
+        deviceType.applyState(device, stateData);
+    }
+}
+
+/**
+ * Set a playback device back to its center position
+ * @param {Object} device - Device configuration
+ */
+function resetPlaybackDevice(device) {
+    // A twist in progress is reset when its gesture runs
+    if (pendingTwistGestures.has(device.id)) {
+        return;
+    }
+    
+    updateVirtualDeviceState('Speaker', device.id, {
+        volume: 0.5
+    });
+}
+
+/**
+ * Create virtual devices for Flic Twist integration
+ */
+function createVirtualDevices() {
+    console.log('🎛️ Creating virtual devices...');
+    
+    const createdIds = new Set();
+    Object.values(HA_CONFIG.devices).flat().forEach(device => {
+        if (createdIds.has(device.id)) {
+            console.log(`⚠️ Skipping duplicate device id: ${device.id}`);
+            return;
+        }
+        createdIds.add(device.id);
+        
+        const deviceType = getDeviceType(device);
+        if (!deviceType) {
+            console.log(`⚠️ Skipping ${device.name} - unknown device type "${device.type}"`);
+            return;
+        }
+        
+        // Report selector targets that can't be used
+        if (deviceType.family === 'selector') {
+            getSelectorTargets(device, true);
+        }
+        
+        // Stateless targets (scenes, scripts, automations) are only used by action messages
+        const virtualDeviceType = getVirtualDeviceType(device);
+        if (!virtualDeviceType) return;
+        
+        flicApp.createVirtualDevice(device.id, virtualDeviceType, device.name);
+        console.log(`✅ Created virtual device: ${device.name} (${virtualDeviceType})`);
+    });
+}
+
+/**
+ * Read a device's current state from Home Assistant and update its virtual device
+ * @param {Object} device - Device configuration
+ */
+async function syncDeviceState(device) {
+    const deviceType = getDeviceType(device);
+    if (deviceType && deviceType.readState) {
+        await deviceType.readState(device);
+    }
+}
+
+/**
+ * Initialize virtual device states with current Home Assistant volumes
+ */
+async function initializeVirtualDeviceStates() {
+    console.log('🔄 Initializing virtual device states...');
+    
+    // Initialize all device types
+    for (const device of Object.values(HA_CONFIG.devices).flat()) {
+        await syncDeviceState(device);
+    }
+    
+    console.log('✅ Virtual device states initialized');
+}
+
+// ============================================================================
+// SELECTORS
+// ============================================================================
+
+// Index of the current target per selector id
+const selectorIndexes = new Map();
+
+/**
+ * Get the devices a selector can switch between
+ * Targets must use the selector's virtual device type (that of its first target), since a Twist
+ * is linked to one virtual device.
+ *
+ * @param {Object} selector - Selector device configuration
+ * @param {boolean} log - Log targets that are skipped
+ * @returns {Array<Object>} - Target devices
+ */
+function getSelectorTargets(selector, log = false) {
+    let virtualDeviceType = null;
+    
+    return (selector.targets || []).map(targetId => {
+        const target = findDevice(targetId);
+        const targetType = target && getDeviceType(target);
+        const targetVirtualType = targetType && targetType.family !== 'selector' ? getVirtualDeviceType(target) : null;
+        
+        if (!targetVirtualType) {
+            if (log) console.log(`⚠️ ${selector.name}: skipping target "${targetId}" - not a device with a virtual device`);
+            return null;
+        }
+        
+        virtualDeviceType = virtualDeviceType || targetVirtualType;
+        if (targetVirtualType !== virtualDeviceType) {
+            if (log) console.log(`⚠️ ${selector.name}: skipping ${target.name} - it's a ${targetVirtualType}, the selector drives ${virtualDeviceType} devices`);
+            return null;
+        }
+        return target;
+    }).filter(Boolean);
+}
+
+/**
+ * Get the device a selector currently controls
+ * @param {Object} selector - Selector device configuration
+ * @returns {Object|null} - Target device, null if the selector has no valid targets
+ */
+function getSelectedTarget(selector) {
+    const targets = getSelectorTargets(selector);
+    if (targets.length === 0) return null;
+    return targets[(selectorIndexes.get(selector.id) || 0) % targets.length];
+}
+
+/**
+ * Switch a selector to its next or previous target
+ * @param {string} selectorId - Selector device identifier
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+async function cycleSelectorTarget(selectorId, direction) {
+    const selector = findDeviceOfFamily(selectorId, 'selector');
+    if (!selector) {
+        console.error(`Selector not found: ${selectorId}`);
+        return;
+    }
+    
+    const targets = getSelectorTargets(selector);
+    if (targets.length === 0) {
+        console.error(`❌ ${selector.name} has no targets`);
+        return;
+    }
+    
+    const current = (selectorIndexes.get(selector.id) || 0) % targets.length;
+    await selectTarget(selector, (current + direction + targets.length) % targets.length);
+}
+
+/**
+ * Handle "select <device-id>" for selectors
+ */
+async function handleSelectorSelect(selectorId, targetId) {
+    const selector = findDeviceOfFamily(selectorId, 'selector');
+    if (!selector) {
+        console.error(`Selector not found: ${selectorId}`);
+        return;
+    }
+    
+    const index = getSelectorTargets(selector).findIndex(target => target.id === targetId);
+    if (index === -1) {
+        console.error(`❌ ${targetId} is not a target of ${selector.name} - targets: ${getSelectorTargets(selector).map(t => t.id).join(', ')}`);
         return;
     }
     
+    await selectTarget(selector, index);
+}
+
+/**
+ * Make a target the one the selector controls, show its state on the Twist and confirm the switch
+ * @param {Object} selector - Selector device configuration
+ * @param {number} index - Index in the selector's targets
+ */
+async function selectTarget(selector, index) {
+    const targets = getSelectorTargets(selector);
+    const target = targets[index];
+    selectorIndexes.set(selector.id, index);
+    
+    console.log(`🎯 ${selector.name} now controls ${target.name} (${index + 1}/${targets.length})`);
+    
+    // The target's state is mirrored onto the selector as it's read
+    await syncDeviceState(target);
+    await confirmSelection(selector, target);
+}
+
+/**
+ * Confirm a new selection on the device itself: lights that are on flash briefly
+ * Other devices (or confirm: 'log') are only confirmed in the log.
+ *
+ * @param {Object} selector - Selector device configuration
+ * @param {Object} target - Newly selected device
+ */
+async function confirmSelection(selector, target) {
+    const targetType = getDeviceType(target);
+    if ((selector.confirm || 'flash') !== 'flash' || targetType.family !== 'light') return;
+    
     try {
-        // Get current position
-        const currentPosition = await getCurrentBlindPositionAndUpdate(device);
-        const newPosition = Math.max(0, (currentPosition || 0) - 10); // Decrease by 10%
+        // Flashing a light that's off would turn it on
+        const stateData = await getDeviceState(target);
+        if (stateData.state !== 'on') return;
         
-        await setBlindPosition(deviceId, newPosition);
+        await callHAService('light', 'turn_on', {
+            entity_id: getDeviceEntityTarget(target),
+            flash: 'short'
+        });
     } catch (error) {
-        console.error(`❌ Error moving down ${device.name}:`, error);
+        console.error(`❌ Error flashing ${target.name}:`, error);
     }
 }
 
-// Initialize ACTION_HANDLERS after all handler functions are defined
-ACTION_HANDLERS = {
-    // Media device actions
-    'volume up': deviceId => adjustDeviceVolume(deviceId, 10),
-    'volume down': deviceId => adjustDeviceVolume(deviceId, -10),
-    'mute': handleDeviceMuteToggle,
-    
-    // Light device actions
-    'brightness up': handleDeviceBrightnessUp,
-    'brightness down': handleDeviceBrightnessDown,
-    'bright': handleDeviceSetBright,
-    'dim': handleDeviceSetDim,
-    
-    // Climate device actions
-    'temp up': handleDeviceTemperatureUp,
-    'temp down': handleDeviceTemperatureDown,
-    'heat': deviceId => handleDeviceSetMode(deviceId, 'heat'),
-    'cool': deviceId => handleDeviceSetMode(deviceId, 'cool'),
-    'auto': deviceId => handleDeviceSetMode(deviceId, 'auto'),
+/**
+ * Read the current target's state for a selector (the state is mirrored onto the selector)
+ * @param {Object} selector - Selector device configuration
+ */
+async function syncSelectorState(selector) {
+    const target = getSelectedTarget(selector);
+    if (target) {
+        await syncDeviceState(target);
+    }
+}
+
+/**
+ * Handle a Twist update on a selector by passing it to the current target
+ * @param {string} selectorId - Selector device identifier
+ * @param {Object} values - Values from the virtual device
+ */
+async function handleSelectorDeviceUpdate(selectorId, values) {
+    const selector = findDevice(selectorId);
+    const target = selector && getSelectedTarget(selector);
+    if (!target) return;
     
-    // Blind device actions
-    'open': handleDeviceBlindOpen,
-    'close': handleDeviceBlindClose,
-    'stop': handleDeviceBlindStop,
-    'position up': handleDeviceBlindUp,
-    'position down': handleDeviceBlindDown,
+    await getDeviceType(target).handleUpdate(target.id, values);
+}
+
+/**
+ * Pass an action message for a selector on to its current target ("living_room_twist power")
+ * @param {Object} selector - Selector device configuration
+ * @param {string} rawAction - Action text as sent
+ */
+async function forwardSelectorAction(selector, rawAction) {
+    const target = getSelectedTarget(selector);
+    if (!target) {
+        console.error(`❌ ${selector.name} has no targets`);
+        return;
+    }
     
-    // Universal device actions
-    'power': handleDevicePowerToggle,
-    'on': handleDevicePowerOn,
-    'off': handleDevicePowerOff
-};
+    await runDeviceAction(target.id, rawAction);
+}
 
 // ============================================================================
-// DEVICE UPDATE HANDLERS
+// DEVICE DISCOVERY
 // ============================================================================
 
+// Light color modes that need a color_light device (hue/saturation control)
+const COLOR_MODES = ['hs', 'rgb', 'rgbw', 'rgbww', 'xy'];
+
 /**
- * Handle media device updates for volume control
- * @param {string} deviceId - Virtual device ID
- * @param {Object} values - Values from Flic Twist
+ * Check whether a light entity supports hue/saturation control
+ * @param {Object} stateData - Entity state
+ * @returns {boolean} - True if any color mode needs a color_light device
  */
+function hasColorModes(stateData) {
+    const colorModes = stateData.attributes.supported_color_modes || [];
+    return colorModes.some(mode => COLOR_MODES.includes(mode));
+}
+
 /**
- * Handle playback device updates for playback control
+ * Convert a discovery pattern ('light.*', 'media_player.?ono*') to a regular expression
+ * @param {string} pattern - Entity id pattern with * and ? wildcards
+ * @returns {RegExp} - Anchored regular expression
  */
-async function handlePlaybackDeviceUpdate(deviceId, values) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'playback') {
-        return;
-    }
+function patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Check an entity id against the discovery include/exclude patterns
+ * @param {string} entityId - Home Assistant entity ID
+ * @returns {boolean} - True if the entity should be discovered
+ */
+function isEntityIncluded(entityId) {
+    const { include, exclude } = HA_CONFIG.discovery;
+    const matches = pattern => patternToRegExp(pattern).test(entityId);
     
-    const volumeChange = values.volume - 0.5; // 0.5 is the center position
-    const isPlaybackCommand = Math.abs(volumeChange) > 0.1; // Threshold to detect intentional movement
+    if (include.length > 0 && !include.some(matches)) return false;
+    return !exclude.some(matches);
+}
+
+/**
+ * Build a device configuration from a Home Assistant entity state
+ * @param {Object} stateData - Entity state from /api/states
+ * @returns {Object|null} - {category, device} or null if the domain isn't supported
+ */
+function buildDiscoveredDevice(stateData) {
+    const domain = stateData.entity_id.split('.')[0];
+    const type = Object.keys(DEVICE_TYPES).find(type => {
+        const { discovery } = DEVICE_TYPES[type];
+        return DEVICE_TYPES[type].domain === domain && discovery &&
+            (!discovery.matches || discovery.matches(stateData));
+    });
+    if (!type) return null;
     
-    if (isPlaybackCommand) {
-        // Check cooldown
-        const currentTime = Date.now();
-        const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
-        
-        if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-            const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-            //console.log(`⏳ Playback command ignored - cooldown active (${remainingCooldown}s remaining)`);
-            
-            // Reset playback device to center position
-            flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
-                volume: 0.5
-            });
-            return;
-        }
-        
-        // Playback control based on twist direction
-        try {
-            if (volumeChange < 0) {
-                // Twist down/left = Pause
-                await setMediaPause(deviceId);
-            } else if (volumeChange > 0) {
-                // Twist up/right = Smart play/skip logic
-                const currentState = await getMediaPlaybackState(deviceId);
-                //console.log(`📊 Current playback state: ${currentState}`);
-                
-                if (currentState === 'paused') {
-                    // If paused, resume playback
-                    await setMediaPlay(deviceId);
-                } else if (currentState === 'playing') {
-                    // If playing, skip to next track
-                    await setMediaNextTrack(deviceId);
-                } else {
-                    // For other states (idle, off, etc.), try to start playback
-                    //console.log(`📱 Device in ${currentState} state, attempting to start playback`);
-                    await setMediaPlay(deviceId);
-                }
-            }
-        } catch (error) {
-            console.error(`❌ Error executing playback command for ${device.name}:`, error);
-        }
-        
-        // Update cooldown
-        lastPlaybackCommandTime = currentTime;
+    const device = {
+        // Derived from the entity id so it stays the same across restarts
+        id: stateData.entity_id.replace('.', '_'),
+        entityId: stateData.entity_id,
+        name: stateData.attributes.friendly_name || stateData.entity_id,
+        type,
+        discovered: true
+    };
+    
+    const { discovery } = DEVICE_TYPES[type];
+    if (discovery.configure) {
+        discovery.configure(device, stateData);
     }
     
-    // Reset playback device to center position
-    flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
-        volume: 0.5
-    });
+    return { category: discovery.category, device };
 }
 
-async function handleMediaDeviceUpdate(deviceId, values) {
-    if (values.volume !== undefined) {
-        // Check cooldown
-        const currentTime = Date.now();
-        const timeSinceLastCommand = currentTime - lastPlaybackCommandTime;
-        
-        if (timeSinceLastCommand < PLAYBACK_COOLDOWN_MS) {
-            const remainingCooldown = Math.ceil((PLAYBACK_COOLDOWN_MS - timeSinceLastCommand) / 1000);
-            //console.log(`⏳ Volume change ignored - cooldown active (${remainingCooldown}s remaining)`);
-            return;
+/**
+ * Discover devices from /api/states and add them to HA_CONFIG.devices
+ * Manually configured devices always take precedence over discovered ones.
+ */
+async function discoverDevices() {
+    if (!HA_CONFIG.discovery.enabled) return;
+    
+    console.log('🔍 Discovering devices from Home Assistant...');
+    
+    try {
+        const response = await sendHARequest(HA_CONFIG.endpoints.allStates);
+        if (!response.success) {
+            throw new Error(`Failed to list states: ${response.data.status}`);
         }
         
-        const volumePercentage = Math.round(values.volume * 100);
+        const configuredDevices = Object.values(HA_CONFIG.devices).flat();
+        // Group members are still discovered as devices of their own
+        const knownEntityIds = new Set(configuredDevices.filter(device => !isDeviceGroup(device))
+            .map(device => device.entityId));
+        const knownDeviceIds = new Set(configuredDevices.map(d => d.id));
+        let discoveredCount = 0;
         
-        // Debounce volume changes to prevent API flooding, but immediately update virtual device
-        debouncedDeviceUpdate(
-            deviceId, 
-            'volume', 
-            volumePercentage, 
-            // Debounced function - calls HA after delay
-            async (finalVolume) => {
-                try {
-                    await setMediaVolume(deviceId, finalVolume);
-                } catch (error) {
-                    console.error(`❌ Failed to update media device ${deviceId}:`, error);
-                }
-            },
-            // Immediate state update - updates virtual device instantly
-            (expectedVolume) => {
-                flicApp.virtualDeviceUpdateState('Speaker', deviceId, {
-                    volume: expectedVolume / 100
-                });
+        JSON.parse(response.data.body).forEach(stateData => {
+            if (knownEntityIds.has(stateData.entity_id) || !isEntityIncluded(stateData.entity_id)) {
+                return;
             }
-        );
+            
+            const discovered = buildDiscoveredDevice(stateData);
+            if (!discovered || knownDeviceIds.has(discovered.device.id)) return;
+            
+            if (!HA_CONFIG.devices[discovered.category]) {
+                HA_CONFIG.devices[discovered.category] = [];
+            }
+            HA_CONFIG.devices[discovered.category].push(discovered.device);
+            knownEntityIds.add(discovered.device.entityId);
+            knownDeviceIds.add(discovered.device.id);
+            discoveredCount++;
+        });
+        
+        console.log(`✅ Discovered ${discoveredCount} device(s)`);
+    } catch (error) {
+        console.error('❌ Device discovery failed - continuing with configured devices:', error);
     }
 }
 
+// ============================================================================
+// WEBSOCKET STATE SYNC
+// ============================================================================
+
+// WebSocket frame opcodes (RFC 6455)
+const WS_OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// Connection state for the Home Assistant WebSocket API
+const wsState = {
+    socket: null,
+    handshakeDone: false,
+    authenticated: false,
+    authRejected: false,
+    buffer: null,
+    fragments: [],
+    nextMessageId: 1,
+    subscriptionId: null,
+    subscribed: false,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    heartbeatTimer: null,
+    awaitingPong: false
+};
+
+// REST polling timer, only active while the WebSocket is down
+let statePollTimer = null;
+let statePollRunning = false;
+
 /**
- * Handle light device updates from Flic Twist controllers (with debouncing)
- * @param {string} deviceId - Virtual device ID
- * @param {Object} values - Values from Flic Twist (brightness, hue, saturation, colorTemperature: all 0-1)
+ * Check whether the WebSocket is connected and subscribed to state changes
+ * @returns {boolean} - True if state changes are being pushed by Home Assistant
  */
-async function handleLightDeviceUpdate(deviceId, values) {
-    const device = findDevice(deviceId);
-    if (!device) return;
+function isWebSocketConnected() {
+    return wsState.subscribed && wsState.socket !== null;
+}
+
+/**
+ * Parse HA_CONFIG.baseUrl into host and port for the raw TCP connection
+ * @returns {Object|null} - {host, port} or null if the URL can't be used
+ */
+function parseWebSocketTarget() {
+    const match = /^(https?):\/\/([^/:]+)(?::(\d+))?/.exec(HA_CONFIG.baseUrl);
+    if (!match) return null;
     
-    // Handle brightness changes with debouncing
-    if (values.brightness !== undefined) {
-        const brightness = Math.round(values.brightness * 255);
-        
-        if (brightness === 0) {
-            // Immediate power off - don't debounce this
-            try {
-                await setLightPower(deviceId, false);
-            } catch (error) {
-                console.error(`❌ Failed to turn off light ${deviceId}:`, error);
-            }
-            return; // Exit early if turning off
-        } else {
-            // Debounce brightness changes but immediately update virtual device state
-            debouncedDeviceUpdate(
-                deviceId, 
-                'brightness', 
-                brightness,
-                // Debounced function - calls HA after delay  
-                async (finalBrightness) => {
-                    try {
-                        await setLightBrightness(deviceId, finalBrightness);
-                    } catch (error) {
-                        console.error(`❌ Failed to set brightness for ${deviceId}:`, error);
-                    }
-                },
-                // Immediate state update - updates virtual device instantly
-                (expectedBrightness) => {
-                    // Get current virtual device state to preserve other properties
-                    const currentState = {
-                        brightness: expectedBrightness / 255,
-                        hue: values.hue || 0,
-                        saturation: values.saturation || 0,
-                        colorTemperature: values.colorTemperature || 0.5
-                    };
-                    flicApp.virtualDeviceUpdateState('Light', deviceId, currentState);
-                }
-            );
-        }
+    // The hub's net module only provides plain TCP sockets
+    if (match[1] === 'https') return null;
+    
+    return {
+        host: match[2],
+        port: match[3] ? parseInt(match[3], 10) : 80
+    };
+}
+
+/**
+ * Start the WebSocket state sync (falls back to REST polling while disconnected)
+ */
+function startWebSocketSync() {
+    if (!HA_CONFIG.websocket.enabled) {
+        console.log('ℹ️ WebSocket sync disabled - using REST polling');
+        startStatePolling();
+        return;
     }
     
-    // Handle color changes (for color_light devices) with debouncing
-    if (device.type === 'color_light') {
-        // Store the current values for debounced update
-        const colorUpdate = {
-            hue: values.hue,
-            saturation: values.saturation,
-            colorTemperature: values.colorTemperature
-        };
-        
-        // Debounce color changes (hue and saturation together)
-        if (values.hue !== undefined || values.saturation !== undefined) {
-            debouncedDeviceUpdate(deviceId, 'color', colorUpdate, async (finalColorUpdate) => {
-                try {
-                    await applyColorUpdate(deviceId, finalColorUpdate);
-                } catch (error) {
-                    console.error(`❌ Failed to update color for ${deviceId}:`, error);
-                }
-            });
-        }
-        
-        // Debounce color temperature changes separately
-        if (values.colorTemperature !== undefined) {
-            debouncedDeviceUpdate(deviceId, 'colortemp', values.colorTemperature, async (finalColorTemp) => {
-                try {
-                    await applyColorTemperatureUpdate(deviceId, finalColorTemp);
-                } catch (error) {
-                    console.error(`❌ Failed to update color temperature for ${deviceId}:`, error);
-                }
-            });
-        }
+    if (!parseWebSocketTarget()) {
+        console.log('⚠️ WebSocket sync needs a plain http:// baseUrl - using REST polling');
+        startStatePolling();
+        return;
     }
+    
+    connectWebSocket();
 }
 
 /**
- * Apply color update to Home Assistant (used by debouncer) with color memory
- * @param {string} deviceId - Device identifier
- * @param {Object} colorUpdate - Color update data {hue, saturation}
+ * Open the TCP connection and send the WebSocket upgrade request
  */
-async function applyColorUpdate(deviceId, colorUpdate) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'color_light') return;
+function connectWebSocket() {
+    const target = parseWebSocketTarget();
     
-    // Get current state to preserve existing color values
-    const currentState = await getEntityState(device.entityId);
-    let currentHue = 0;    // Default fallback
-    let currentSat = 100;  // Default fallback (full saturation, not white)
+    wsState.handshakeDone = false;
+    wsState.authenticated = false;
+    wsState.buffer = Buffer.alloc(0);
+    wsState.fragments = [];
+    wsState.nextMessageId = 1;
+    wsState.subscriptionId = null;
+    wsState.subscribed = false;
     
-    if (currentState.attributes.hs_color) {
-        [currentHue, currentSat] = currentState.attributes.hs_color;
-        // Remember current color if it's meaningful
-        rememberColor(deviceId, currentHue, currentSat);
-    }
+    const socket = new net.Socket();
+    wsState.socket = socket;
     
-    // Start with current color values, then update what changed
-    let finalHue = currentHue;
-    let finalSat = currentSat;
+    socket.on('data', (data) => {
+        if (wsState.socket !== socket) return;
+        wsState.buffer = Buffer.concat([wsState.buffer, data]);
+        
+        if (!wsState.handshakeDone) {
+            processWebSocketHandshake();
+        }
+        if (wsState.handshakeDone) {
+            processWebSocketFrames();
+        }
+    });
     
-    // Handle hue changes
-    if (colorUpdate.hue !== undefined) {
-        finalHue = Math.round(colorUpdate.hue * 360);
+    socket.on('error', (error) => {
+        console.error('❌ WebSocket error:', error);
+    });
+    
+    socket.on('close', () => {
+        if (wsState.socket !== socket) return;
+        handleWebSocketDisconnect();
+    });
+    
+    socket.connect({ host: target.host, port: target.port }, () => {
+        // Sec-WebSocket-Key only has to be 16 random bytes, base64 encoded
+        const key = Buffer.alloc(16);
+        for (let i = 0; i < key.length; i++) {
+            key[i] = Math.floor(Math.random() * 256);
+        }
+        
+        socket.write([
+            'GET /api/websocket HTTP/1.1',
+            `Host: ${target.host}:${target.port}`,
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${key.toString('base64')}`,
+            'Sec-WebSocket-Version: 13',
+            '',
+            ''
+        ].join('\r\n'));
+    });
+}
 
+/**
+ * Consume the HTTP upgrade response from the receive buffer
+ */
+function processWebSocketHandshake() {
+    const headerEnd = wsState.buffer.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+    
+    const statusLine = wsState.buffer.slice(0, headerEnd).toString('utf8').split('\r\n')[0];
+    wsState.buffer = wsState.buffer.slice(headerEnd + 4);
+    
+    if (!/^HTTP\/1\.1 101/.test(statusLine)) {
+        console.error(`❌ WebSocket upgrade rejected: ${statusLine}`);
+        wsState.socket.destroy();
+        return;
     }
     
-    // Handle saturation changes with color memory logic
-    if (colorUpdate.saturation !== undefined) {
-        const newSat = Math.round(colorUpdate.saturation * 100);
+    wsState.handshakeDone = true;
+}
+
+/**
+ * Decode all complete frames currently in the receive buffer
+ */
+function processWebSocketFrames() {
+    while (wsState.socket && wsState.buffer.length >= 2) {
+        const buffer = wsState.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
         
-        // Special case: if current saturation is essentially white and we're increasing to meaningful saturation
-        if (currentSat <= MEANINGFUL_SATURATION_THRESHOLD && newSat > MEANINGFUL_SATURATION_THRESHOLD) {
-            // Use remembered hue instead of current hue (which might be meaningless)
-            const remembered = getRememberedColor(deviceId, finalHue, newSat);
-            if (colorUpdate.hue === undefined) { // Only use remembered hue if hue wasn't explicitly changed
-                finalHue = remembered.hue;
-                //console.log(`🎨 Restoring from white: using remembered hue ${finalHue}° instead of current ${currentHue}° (current sat ${currentSat}% <= ${MEANINGFUL_SATURATION_THRESHOLD}%)`);
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return; // Wait for the rest of the frame
+        
+        const payload = Buffer.from(buffer.slice(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
             }
         }
         
-        finalSat = newSat;
+        wsState.buffer = buffer.slice(offset + length);
+        handleWebSocketFrame(fin, opcode, payload);
+    }
+}
 
+/**
+ * Handle a single decoded WebSocket frame
+ * @param {boolean} fin - Whether this is the final fragment of a message
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Unmasked frame payload
+ */
+function handleWebSocketFrame(fin, opcode, payload) {
+    if (opcode === WS_OPCODES.PING) {
+        sendWebSocketFrame(WS_OPCODES.PONG, payload);
+        return;
     }
     
-    // Remember the final color if it's meaningful
-    // rememberColor() function will check if saturation is meaningful
-    rememberColor(deviceId, finalHue, finalSat);
+    if (opcode === WS_OPCODES.CLOSE) {
+        wsState.socket.destroy();
+        return;
+    }
     
-    const colorData = {
-        hs_color: [finalHue, finalSat]
-    };
+    if (opcode !== WS_OPCODES.TEXT && opcode !== WS_OPCODES.CONTINUATION) {
+        return;
+    }
     
-    await callHAService('light', 'turn_on', {
-        entity_id: device.entityId,
-        ...colorData
-    });
+    wsState.fragments.push(payload);
+    if (!fin) return;
     
-    //console.log(`✅ ${device.name} color updated (debounced)`);
+    const text = Buffer.concat(wsState.fragments).toString('utf8');
+    wsState.fragments = [];
     
-    // Wait a moment for Home Assistant to update the state
-    await new Promise(resolve => setTimeout(resolve, 100));
-    // Update virtual device state to reflect changes
-    await getCurrentBrightnessAndUpdate(device);
+    try {
+        handleWebSocketMessage(JSON.parse(text));
+    } catch (error) {
+        console.error('❌ Error handling WebSocket message:', error);
+    }
 }
 
 /**
- * Apply color temperature update to Home Assistant (used by debouncer)
- * @param {string} deviceId - Device identifier
- * @param {number} colorTemperature - Color temperature (0-1)
+ * Send a masked WebSocket frame (clients must mask every frame)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
  */
-async function applyColorTemperatureUpdate(deviceId, colorTemperature) {
-    const device = findDevice(deviceId);
-    if (!device || device.type !== 'color_light') return;
+function sendWebSocketFrame(opcode, payload) {
+    if (!wsState.socket) return;
     
-    // Convert 0-1 to typical mireds range (154-500, warm to cool)
-    const mireds = Math.round(154 + (colorTemperature * (500 - 154)));
-    await callHAService('light', 'turn_on', {
-        entity_id: device.entityId,
-        color_temp: mireds
-    });
+    const length = payload.length;
+    let headerLength = 2;
+    if (length >= 65536) {
+        headerLength += 8;
+    } else if (length >= 126) {
+        headerLength += 2;
+    }
     
-    //console.log(`✅ ${device.name} color temperature updated (debounced)`);
+    const frame = Buffer.alloc(headerLength + 4 + length);
+    frame[0] = 0x80 | opcode;
     
-    // Wait a moment for Home Assistant to update the state
-    await new Promise(resolve => setTimeout(resolve, 100));
-    // Update virtual device state to reflect changes
-    await getCurrentBrightnessAndUpdate(device);
+    if (length >= 65536) {
+        frame[1] = 0x80 | 127;
+        frame.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        frame.writeUInt32BE(length % 0x100000000, 6);
+    } else if (length >= 126) {
+        frame[1] = 0x80 | 126;
+        frame.writeUInt16BE(length, 2);
+    } else {
+        frame[1] = 0x80 | length;
+    }
+    
+    for (let i = 0; i < 4; i++) {
+        frame[headerLength + i] = Math.floor(Math.random() * 256);
+    }
+    for (let i = 0; i < length; i++) {
+        frame[headerLength + 4 + i] = payload[i] ^ frame[headerLength + (i % 4)];
+    }
+    
+    wsState.socket.write(frame);
 }
 
 /**
- * Handle climate device updates from Flic Twist controllers  
- * @param {string} deviceId - Virtual device ID
- * @param {Object} values - Values from Flic Twist (position: 0-1 mapped to temperature)
+ * Send a JSON message over the WebSocket
+ * @param {Object} message - Message object (an id is added for commands)
+ * @param {boolean} withId - Whether the message needs a command id
  */
-async function handleClimateDeviceUpdate(deviceId, values) {
-    if (values.position !== undefined) {
-        const device = findDevice(deviceId);
-        if (!device) return;
-        
-        // Use device-specific temperature range or default
-        const tempRange = device.tempRange || HA_CONFIG.valueRanges.climate;
-        
-        // Convert position (0-1) to temperature range
-        const temperature = tempRange.min + (values.position * (tempRange.max - tempRange.min));
-        const roundedTemp = Math.round(temperature * 10) / 10; // Round to 1 decimal place
-        
-        // Debounce temperature changes but immediately update virtual device state
-        debouncedDeviceUpdate(
-            deviceId, 
-            'temperature', 
-            roundedTemp,
-            // Debounced function - calls HA after delay
-            async (finalTemp) => {
-                try {
-                    await setClimateTemperature(deviceId, finalTemp);
-                } catch (error) {
-                    console.error(`❌ Failed to update climate device ${deviceId}:`, error);
-                }
-            },
-            // Immediate state update - updates virtual device instantly
-            (expectedTemp) => {
-                const tempRange = device.tempRange || HA_CONFIG.valueRanges.climate;
-                const normalizedTemp = (expectedTemp - tempRange.min) / (tempRange.max - tempRange.min);
-                flicApp.virtualDeviceUpdateState('Blind', deviceId, {
-                    position: Math.max(0, Math.min(1, normalizedTemp))
-                });
-            }
-        );
-    }
+function sendWebSocketMessage(message, withId = true) {
+    const payload = withId ? { id: wsState.nextMessageId++, ...message } : message;
+    sendWebSocketFrame(WS_OPCODES.TEXT, Buffer.from(JSON.stringify(payload), 'utf8'));
 }
 
 /**
- * Handle blind device updates from Flic Twist controllers
- * @param {string} deviceId - Virtual device ID
- * @param {Object} values - Values from Flic Twist (position: 0-1 mapped to blind position)
+ * Handle a Home Assistant WebSocket API message
+ * @param {Object} message - Parsed JSON message
  */
-async function handleBlindDeviceUpdate(deviceId, values) {
-    if (values.position !== undefined) {
-        // Convert position from 0-1 to 0-100 percentage for Home Assistant
-        const blindPosition = Math.round(values.position * 100);
-        
-        // Debounce blind position changes but immediately update virtual device state
-        debouncedDeviceUpdate(
-            deviceId, 
-            'position', 
-            blindPosition,
-            // Debounced function - calls HA after delay
-            async (finalPosition) => {
-                try {
-                    await setBlindPosition(deviceId, finalPosition);
-                } catch (error) {
-                    console.error(`❌ Failed to update blind device ${deviceId}:`, error);
-                }
-            },
-            // Immediate state update - updates virtual device instantly
-            (expectedPosition) => {
-                flicApp.virtualDeviceUpdateState('Blind', deviceId, {
-                    position: expectedPosition / 100
-                });
+function handleWebSocketMessage(message) {
+    switch (message.type) {
+        case 'auth_required':
+            sendWebSocketMessage({ type: 'auth', access_token: HA_CONFIG.token }, false);
+            break;
+            
+        case 'auth_ok':
+            console.log('🔌 WebSocket connected - subscribing to state changes');
+            wsState.authenticated = true;
+            wsState.reconnectAttempts = 0;
+            markHAReachable();
+            subscribeToStateChanges();
+            startWebSocketHeartbeat();
+            break;
+            
+        case 'auth_invalid':
+            console.error(`❌ WebSocket authentication failed: ${message.message}`);
+            wsState.authRejected = true;
+            wsState.socket.destroy();
+            break;
+            
+        case 'pong':
+            wsState.awaitingPong = false;
+            break;
+            
+        case 'result':
+            if (message.id === wsState.subscriptionId) {
+                handleSubscriptionResult(message);
+            } else if (!message.success) {
+                console.error('❌ WebSocket command failed:', message.error);
             }
-        );
+            break;
+            
+        case 'event':
+            if (message.event && message.event.event_type === 'state_changed') {
+                handleStateChangedEvent(message.event.data);
+            }
+            break;
     }
 }
 
-// ============================================================================
-// VIRTUAL DEVICE STATE MANAGEMENT
-// ============================================================================
+/**
+ * Subscribe to state_changed events (events of other entities are dropped in handleStateChangedEvent)
+ */
+function subscribeToStateChanges() {
+    wsState.subscriptionId = wsState.nextMessageId;
+    sendWebSocketMessage({ type: 'subscribe_events', event_type: 'state_changed' });
+}
 
 /**
- * Get current volume from Home Assistant device and update virtual device state
- * @param {Object} device - Device configuration
- * @returns {Promise<number>} - Current volume percentage
+ * Switch from REST polling to pushed state changes once Home Assistant confirms the subscription
+ * @param {Object} message - Result message for the subscribe command
  */
-async function getCurrentVolumeAndUpdate(device) {
-    try {
-        const stateData = await getEntityState(device.entityId);
-        const currentVolume = stateData.attributes.volume_level * 100; // Convert to percentage
-        
-        // Update virtual device state
-        flicApp.virtualDeviceUpdateState('Speaker', device.id, {
-            volume: currentVolume / 100
-        });
-        
-        return currentVolume;
-    } catch (error) {
-        console.error(`❌ Error getting current volume for ${device.name}:`, error);
-        return null;
+function handleSubscriptionResult(message) {
+    if (!message.success) {
+        // Keep polling, e.g. for a token that isn't allowed to subscribe
+        console.error('❌ Subscribing to state changes failed - staying on REST polling:', message.error);
+        startStatePolling();
+        return;
     }
+    
+    console.log('🔌 Subscribed to state changes - REST polling stopped');
+    wsState.subscribed = true;
+    stopStatePolling();
+    
+    // Catch up on anything that changed while the socket was down
+    pollDeviceStates();
 }
 
 /**
- * Get current brightness from Home Assistant light device and update virtual device state
- * @param {Object} device - Device configuration
- * @returns {Promise<number>} - Current brightness (0-255)
+ * Route a state_changed event to every device configured for that entity
+ * @param {Object} eventData - Event data with entity_id and new_state
  */
-async function getCurrentBrightnessAndUpdate(device) {
-    try {
-        const stateData = await getEntityState(device.entityId);
+function handleStateChangedEvent(eventData) {
+    if (!eventData || !eventData.new_state) return;
+    
+    const devices = Object.values(HA_CONFIG.devices).flat()
+        .filter(device => getDeviceEntityIds(device).includes(eventData.entity_id));
+    
+    devices.forEach(device => {
+        // Don't fight the Twist while the user is still turning it
+        if (hasPendingUpdate(device.id)) return;
         
-        let brightness = 0;
-        if (stateData.state === 'on' && stateData.attributes.brightness !== undefined) {
-            brightness = stateData.attributes.brightness; // 0-255
+        // A group's state is combined from all members, so re-read it as a whole
+        if (isDeviceGroup(device)) {
+            syncDeviceState(device);
+            return;
         }
         
-        // Prepare state update for Light virtual device with all required properties
-        const lightState = {
-            brightness: Math.max(0, Math.min(1, brightness / 255)) // Ensure 0-1 range
-        };
-        
-        // Handle color information based on device type
-        if (device.type === 'color_light') {
-
-            
-            // Handle hue and saturation from HS color
-            if (stateData.attributes.hs_color) {
-                const [hue, saturation] = stateData.attributes.hs_color;
-                lightState.hue = Math.max(0, Math.min(1, hue / 360)); // Convert 0-360 to 0-1
-                lightState.saturation = Math.max(0, Math.min(1, saturation / 100)); // Convert 0-100 to 0-1
-                // Remember this color if it's meaningful
-                rememberColor(device.id, hue, saturation);
-            } else if (stateData.attributes.rgb_color) {
-                // Convert RGB to HSV if HS not available
-                const [r, g, b] = stateData.attributes.rgb_color;
-                const hsv = rgbToHsv(r, g, b);
-                lightState.hue = hsv.h;
-                lightState.saturation = hsv.s;
-                // Remember this color if it's meaningful
-                const hue360 = hsv.h * 360;
-                const sat100 = hsv.s * 100;
-                rememberColor(device.id, hue360, sat100);
-            } else {
-                // No color information available - use neutral defaults
-                // For color lights without color data, use white (like a regular light)
-                lightState.hue = 0.0;        // Red hue
-                lightState.saturation = 0.0;  // No saturation = white light
-
-            }
-            
-            // Handle color temperature (only for color_light devices)
-            if (stateData.attributes.color_temp) {
-                const mireds = stateData.attributes.color_temp;
-                // Convert mireds range (154-500) to 0-1, clamped
-                lightState.colorTemperature = Math.max(0, Math.min(1, (mireds - 154) / (500 - 154)));
+        try {
+            applyEntityStateToDevice(device, eventData.new_state);
+        } catch (error) {
+            console.error(`❌ Error applying pushed state for ${device.name}:`, error);
+        }
+    });
+}
 
-            } else {
-                // Default color temperature (middle of range - neutral white)
-                lightState.colorTemperature = 0.5;
-            }
-        } else {
-            // Regular lights - use white light defaults
-            lightState.hue = 0.0;        // Red hue (but with 0 saturation = white)
-            lightState.saturation = 0.0;  // No saturation = white light
+/**
+ * Ping Home Assistant periodically to detect half-open connections
+ */
+function startWebSocketHeartbeat() {
+    stopWebSocketHeartbeat();
+    wsState.awaitingPong = false;
+    
+    wsState.heartbeatTimer = setInterval(() => {
+        if (wsState.awaitingPong) {
+            console.log('⚠️ WebSocket heartbeat missed - reconnecting');
+            wsState.socket.destroy();
+            return;
         }
-        
-        // Update virtual device state with all required properties
-        flicApp.virtualDeviceUpdateState('Light', device.id, lightState);
-        
-        return brightness;
-    } catch (error) {
-        console.error(`❌ Error getting current brightness for ${device.name}:`, error);
-        return null;
-    }
+        wsState.awaitingPong = true;
+        sendWebSocketMessage({ type: 'ping' });
+    }, HA_CONFIG.websocket.heartbeatInterval);
 }
 
 /**
- * Get current temperature from Home Assistant climate device and update virtual device state
- * @param {Object} device - Device configuration  
- * @returns {Promise<number>} - Current target temperature in °C
+ * Stop the WebSocket heartbeat timer
  */
-async function getCurrentTemperatureAndUpdate(device) {
-    try {
-        const stateData = await getEntityState(device.entityId);
-        
-        // Get current target temperature
-        const targetTemp = stateData.attributes.temperature || 20; // Default to 20°C
-        
-        // Use device-specific temperature range or default
-        const tempRange = device.tempRange || HA_CONFIG.valueRanges.climate;
-        
-        // Convert temperature to 0-1 range for virtual device
-        const normalizedTemp = (targetTemp - tempRange.min) / (tempRange.max - tempRange.min);
-        
-        // Update virtual device state (Blind uses 0-1 range for position)
-        flicApp.virtualDeviceUpdateState('Blind', device.id, {
-            position: Math.max(0, Math.min(1, normalizedTemp))
-        });
-        
-        return targetTemp;
-    } catch (error) {
-        console.error(`❌ Error getting current temperature for ${device.name}:`, error);
-        return null;
+function stopWebSocketHeartbeat() {
+    if (wsState.heartbeatTimer) {
+        clearInterval(wsState.heartbeatTimer);
+        wsState.heartbeatTimer = null;
     }
 }
 
 /**
- * Get current position from Home Assistant blind/cover device and update virtual device state
- * @param {Object} device - Device configuration
- * @returns {Promise<number>} - Current position percentage (0-100)
+ * Clean up after the socket closes, fall back to polling and schedule a reconnect
  */
-async function getCurrentBlindPositionAndUpdate(device) {
-    try {
-        const stateData = await getEntityState(device.entityId);
-        
-        // Get current position (0-100 percentage)
-        let position = 0;
-        if (stateData.attributes.current_position !== undefined) {
-            position = stateData.attributes.current_position;
-        } else if (stateData.state === 'open') {
-            position = 100;
-        } else if (stateData.state === 'closed') {
-            position = 0;
-        }
-        
-        // Update virtual device state (Blind uses 0-1 range for position)
-        flicApp.virtualDeviceUpdateState('Blind', device.id, {
-            position: position / 100
-        });
-        
-        return position;
-    } catch (error) {
-        console.error(`❌ Error getting current position for ${device.name}:`, error);
-        return null;
+function handleWebSocketDisconnect() {
+    const wasAuthenticated = wsState.authenticated;
+    
+    stopWebSocketHeartbeat();
+    wsState.socket = null;
+    wsState.handshakeDone = false;
+    wsState.authenticated = false;
+    wsState.subscribed = false;
+    
+    if (wasAuthenticated) {
+        console.log('🔌 WebSocket disconnected - falling back to REST polling');
+    }
+    startStatePolling();
+    
+    if (wsState.authRejected) {
+        // Retrying with the same token is pointless
+        console.log('🔧 Check HA_CONFIG.token - WebSocket sync stays disabled until restart');
+        return;
     }
+    
+    // Exponential backoff between reconnect attempts
+    const { reconnectDelay, maxReconnectDelay } = HA_CONFIG.websocket;
+    const delay = Math.min(maxReconnectDelay, reconnectDelay * Math.pow(2, wsState.reconnectAttempts));
+    wsState.reconnectAttempts++;
+    
+    clearTimeout(wsState.reconnectTimer);
+    wsState.reconnectTimer = setTimeout(connectWebSocket, delay);
 }
 
-// Device type to virtual device type mapping
-const VIRTUAL_DEVICE_TYPES = {
-    'media_player': 'Speaker',
-    'playback': 'Speaker',
-    'light': 'Light',
-    'color_light': 'Light',
-    'climate': 'Blind',
-    'blind': 'Blind'
-};
+/**
+ * Start REST polling of all device states (used while the WebSocket is down)
+ */
+function startStatePolling() {
+    if (statePollTimer) return;
+    statePollTimer = setInterval(pollDeviceStates, HA_CONFIG.websocket.pollInterval);
+}
 
 /**
- * Create virtual devices for Flic Twist integration
+ * Stop REST polling of device states
  */
-function createVirtualDevices() {
-    console.log('🎛️ Creating virtual devices...');
-    
-    Object.values(HA_CONFIG.devices).flat().forEach(device => {
-        const virtualDeviceType = VIRTUAL_DEVICE_TYPES[device.type] || 'Speaker';
-        flicApp.createVirtualDevice(device.id, virtualDeviceType, device.name);
-        console.log(`✅ Created virtual device: ${device.name} (${virtualDeviceType})`);
-    });
+function stopStatePolling() {
+    if (statePollTimer) {
+        clearInterval(statePollTimer);
+        statePollTimer = null;
+    }
 }
 
 /**
- * Initialize virtual device states with current Home Assistant volumes
+ * Refresh every virtual device from Home Assistant over REST
+ * Passes never overlap (one can take longer than pollInterval when requests time out), and none
+ * runs while Home Assistant is unreachable - the connectivity probe notices when it's back.
  */
-async function initializeVirtualDeviceStates() {
-    console.log('🔄 Initializing virtual device states...');
+async function pollDeviceStates() {
+    if (statePollRunning || !haReachable) return;
+    statePollRunning = true;
     
-    // Initialize all device types
-    for (const device of Object.values(HA_CONFIG.devices).flat()) {
-        if (device.type === 'media_player') {
-            // Get current volume for media devices
-            await getCurrentVolumeAndUpdate(device);
-        } else if (device.type === 'playback') {
-            // Set playback device to center position
-            flicApp.virtualDeviceUpdateState('Speaker', device.id, {
-                volume: 0.5
-            });
-        } else if (device.type === 'light' || device.type === 'color_light') {
-            // Get current brightness for light devices
-            await getCurrentBrightnessAndUpdate(device);
-        } else if (device.type === 'climate') {
-            // Get current temperature for climate devices
-            await getCurrentTemperatureAndUpdate(device);
-        } else if (device.type === 'blind') {
-            // Get current position for blind devices
-            await getCurrentBlindPositionAndUpdate(device);
+    try {
+        for (const device of Object.values(HA_CONFIG.devices).flat()) {
+            if (hasPendingUpdate(device.id)) continue;
+            await syncDeviceState(device);
         }
+    } finally {
+        statePollRunning = false;
     }
-    
-    console.log('✅ Virtual device states initialized');
 }
 
 // ============================================================================
@@ -1927,47 +6540,103 @@ async function initializeHAIntegration() {
     console.log('- Media control via Flic buttons and Twist controllers');
     console.log('- Light control via Flic Twist controllers (brightness)');
     console.log('- Climate control via Flic Twist controllers (temperature)');
+    console.log('- Fan, switch and plug control via Flic Twist controllers');
     console.log('- Multi-device synchronization across all device types');
+    console.log('- Live state sync via the Home Assistant WebSocket API');
     console.log('- Intelligent playbook control with state detection');
+    console.log('- Direct button bindings (click, double click, hold, hold-to-ramp) via the hub buttons module');
     console.log('');
     console.log('Action messages:');
     console.log('');
     console.log('📺 Media Devices:');
     console.log('- "{device-id} volume up/down" - Volume control');
     console.log('- "{device-id} mute" - Toggle mute');
+    console.log('- "{device-id} volume 35" - Set volume (0-100%)');
+    console.log('- "{device-id} play/pause/next/previous" - Playback control');
+    console.log('- "{device-id} source next/prev" or "source HDMI 1" - Select input source');
+    console.log('- "{device-id} shuffle" / "repeat" - Toggle shuffle, cycle repeat mode');
+    console.log('- "{device-id} sound mode" / "sound mode prev" - Cycle sound modes');
     console.log('');
     console.log('💡 Light Devices:');
     console.log('- "{device-id} brightness up/down" - Brightness control');
-    console.log('- "{device-id} bright" - Set to 100% brightness');
-    console.log('- "{device-id} dim" - Set to 20% brightness');
+    console.log('- "{device-id} bright" - Set to 100% brightness (or the time-of-day profile)');
+    console.log('- "{device-id} dim" - Set to 20% brightness (or the time-of-day profile)');
+    console.log('- "{device-id} brightness 60" - Set brightness (0-100%)');
+    console.log('- "{device-id} color #ff8800" - Set color (hex, r,g,b or name)');
+    console.log('- "{device-id} kelvin 2700" - Set color temperature');
     console.log('');
     console.log('🌡️ Climate Devices:');
     console.log('- "{device-id} temp up/down" - Temperature control');
-    console.log('- "{device-id} heat/cool/auto" - HVAC mode control');
+    console.log('- "{device-id} heat/cool/auto/heat cool" - HVAC mode control');
+    console.log('- "{device-id} temp 21.5" - Set target temperature');
+    console.log('- "{device-id} low 19" / "high 24" - Set heat_cool setpoints');
+    console.log('- "{device-id} preset next/prev" or "preset eco" - Preset modes');
+    console.log('- "{device-id} fan mode next/prev" - Cycle fan modes');
     console.log('');
     console.log('🪟 Blind/Cover Devices:');
     console.log('- "{device-id} open/close" - Open/close blinds');
     console.log('- "{device-id} stop" - Stop blind movement');
-    console.log('- "{device-id} position up/down" - Adjust position by 10%');
+    console.log('- "{device-id} position up/down" - Adjust position by 10% (more when repeated quickly)');
+    console.log('- "{device-id} position 40" - Set position (0-100%)');
+    console.log('- "{device-id} tilt open/close/stop" or "tilt 50" - Slat tilt control');
     console.log('');
-    console.log('🔌 Universal Actions (all devices):');
+    console.log('🌀 Fan Devices:');
+    console.log('- "{device-id} speed up/down" - Speed control');
+    console.log('- "{device-id} speed 50" - Set speed (0-100%)');
+    console.log('- "{device-id} oscillate" - Toggle oscillation');
+    console.log('- "{device-id} preset next" / "preset {mode}" - Preset modes');
+    console.log('');
+    console.log('🎬 Scenes, Scripts and Automations:');
+    console.log('- "{scene-id} activate" - Activate a scene');
+    console.log('- "{script-id} run" / "run key=value ..." - Run a script with optional variables');
+    console.log('- "{automation-id} trigger" - Trigger an automation');
+    console.log('');
+    console.log('🎯 Selectors:');
+    console.log('- "{selector-id} selector next/prev" - Switch the device the Twist controls');
+    console.log('- "{selector-id} select {device-id}" - Switch to a specific device');
+    console.log('- "{selector-id} {action}" - Any other action goes to the current device');
+    console.log('');
+    console.log('🔌 Universal Actions (all devices, incl. switches and plugs):');
     console.log('- "{device-id} power" - Toggle power on/off');
-    console.log('- "{device-id} on/off" - Direct power control');
+    console.log('- "{device-id} on/off" - Direct power control ("on" follows time-of-day profiles)');
+    console.log('- "{device-id} sleep 30" - Fade down and turn off in 30 minutes');
+    console.log('- "{device-id} off in 10" / "off at 06:30" - Turn off (or close) later');
+    console.log('- "{device-id} sleep cancel" / "timers" - Cancel or list the device\'s timer ("timers" alone lists all)');
     console.log('');
     console.log('🎛️ Flic Twist Controls:');
     console.log('- Media: Speaker devices for volume/playback');
-    console.log('- Lights: Light devices for brightness/color control');
+    console.log('- Lights: Light devices for brightness/color/color temperature control');
     console.log('- Climate: Blind devices for temperature control (position-based)');
     console.log('- Blinds: Blind devices for position control (0-100%)');
+    console.log('- Fans: Speaker devices for speed control (0-100%)');
+    console.log('- Switches/plugs: Light devices for on/off (any brightness = on)');
     
     // Test HTTP connectivity
     await testHTTPConnectivity();
     
+    // Read the temperature unit (°C/°F) before any climate state is read
+    await loadUnitSystem();
+    
+    // Read sunrise/sunset for time windows that follow the sun
+    await startSunTimeUpdates();
+    
+    // Add devices found in Home Assistant (if discovery is enabled)
+    await discoverDevices();
+    
     // Create virtual devices for Flic Twist integration
     createVirtualDevices();
     
     // Initialize virtual device states with current volumes
     await initializeVirtualDeviceStates();
+    
+    // Pick up sleep and off timers from before a restart
+    await restoreTimers();
+    
+    // Handle bound buttons directly (if any are configured)
+    startButtonBindings();
+    
+    // Keep virtual devices in sync with changes made outside the hub
+    startWebSocketSync();
 }
 
 /**
@@ -2001,5 +6670,29 @@ async function testHTTPConnectivity() {
     }
 }
 
+/**
+ * Read Home Assistant's unit system from /api/config
+ * Keeps °C if the config can't be read
+ */
+async function loadUnitSystem() {
+    try {
+        const response = await sendHARequest(HA_CONFIG.endpoints.config);
+        if (!response.success) {
+            throw new Error(`Failed to read config: ${response.data.status}`);
+        }
+        
+        const config = JSON.parse(response.data.body);
+        const unit = config.unit_system && config.unit_system.temperature;
+        if (TEMPERATURE_UNITS[unit]) {
+            temperatureUnit = unit;
+        } else {
+            console.log(`⚠️ Unsupported temperature unit "${unit}", using ${temperatureUnit}`);
+        }
+        console.log(`🌡️ Home Assistant temperature unit: ${temperatureUnit}`);
+    } catch (error) {
+        console.error(`❌ Error reading unit system, using ${temperatureUnit}:`, error);
+    }
+}
+
 // Start the integration
 initializeHAIntegration(); 
\ No newline at end of file